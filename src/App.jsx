@@ -6,9 +6,10 @@
 // 3) Select tempo (BPM) range
 // 4) Filter tracks by tempo via Google Gemini AI with search grounding
 // 5) Create a new playlist with matching tracks
+// 6) Or scan a local folder of audio files and save the playlist as M3U8/XSPF
 // =============================================================
 
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   Button, 
   Card, 
@@ -38,10 +39,84 @@ import {
   Center,
   RangeSlider,
   Collapse,
-  Accordion
+  Accordion,
+  Modal,
+  Badge
 } from '@mantine/core';
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { DotLottieReact } from '@lottiefiles/dotlottie-react';
+import {
+  getCachedBPM,
+  putCachedBPM,
+  countCachedBPM,
+  clearBPMCache,
+  getCachedBPMByIsrc,
+  getCachedBPMBySong,
+  getBPMOverride,
+  getBPMOverrideByIsrc,
+  getBPMOverrideBySong,
+  putBPMOverride,
+  markUnresolved,
+  removeUnresolved,
+  listUnresolved,
+} from './bpmCache';
+import { TapTempo } from './TapTempo';
+import { collectExportRows, rowsToCSV, parseImport, importRows, MERGE_POLICIES } from './bpmTransfer';
+import {
+  DEFAULT_PROVIDER_CONFIGS,
+  buildProviderChain,
+  loadProviderConfigs,
+  saveProviderConfigs,
+  loadProviderApiKeys,
+  saveProviderApiKeys,
+  newProviderConfig,
+  providerSetupProblem,
+  isLLMProvider,
+  switchProviderType,
+  PROVIDER_TYPE_LABELS,
+  MIN_BATCH_SIZE,
+  MAX_BATCH_SIZE
+} from './bpmProviders';
+import { reconcileReadings, SINGLE_READING_CONFIDENCE } from './bpmConsensus';
+import { geminiRateController } from './rateController';
+import { toCamelot, harmonicOrder, areKeysCompatible } from './musicalKey';
+import {
+  DEFAULT_SOURCE_POLICY,
+  UNTRUSTED_CONFIDENCE,
+  loadSourcePolicy,
+  saveSourcePolicy,
+  parseDomainRules,
+  formatDomainRules,
+  scoreSources,
+  recordSourceScore,
+  domainOf,
+  subscribeSourceBreakdown,
+  resetSourceBreakdown,
+} from './sourcePolicy';
+import { BPM_SITES } from './bpmSites';
+import { subscribeAudioFeaturesStatus } from './spotifyAudioFeatures';
+import { createSpotifyClient, spotifyThrottle } from './spotifyClient';
+import { getSession, subscribeSession, endSession, refreshSession, REFRESH_AHEAD_S } from './spotifySession';
+import { buildAuthorizeUrl, completeAuthorization, isAuthorizationReturn, clearPendingAuthorization, missingScopes } from './spotifyAuth';
+import { AUDIO_FILE_ACCEPT, analyzeAudioFile, matchTrack, readMatchTags, localAnalysisRecord, metadataFromFileName } from './localAudio';
+import {
+  loadLocalLibrary,
+  entriesFromFileList,
+  entriesFromDirectoryHandle,
+  tagBPMRecord,
+  PLAYLIST_FORMATS,
+} from './localLibrary';
+import { songIdentity, textKeyOf, dedupeSongs, createSongIndex } from './songIdentity';
+import { buildTrackQuery, describeQuery } from './trackQuery';
+import { rankProviders, recordTierOutcome, subscribeTierStats, resetTierStats } from './tierStats';
+import {
+  loadBudget,
+  saveBudget,
+  startScanUsage,
+  resetDailyUsage,
+  subscribeUsage,
+  getUsageSnapshot,
+  budgetExceededReason,
+} from './geminiUsage';
 
 // -------------------- Utility: Tiny helpers --------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -52,10 +127,79 @@ const chunk = (arr, size) => {
 };
 const uniq = (arr) => Array.from(new Set(arr));
 
-// -------------------- Google Gemini BPM Utility with Three-Tier Grounding --------------------
-async function getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog = null, abortSignal = null, updateLiveStatus = null) {
-  if (!geminiApiKey) {
-    throw new Error("Gemini API key is required");
+// Save a Blob as a file. Firefox and Safari only follow a link that is in the document, and
+// revoking the URL in the same task can cancel the download, so the revoke waits a tick.
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// -------------------- BPM Lookup through the configured provider chain --------------------
+const isValidBPM = (bpm) => bpm !== null && !isNaN(bpm) && bpm > 0 && bpm < 300;
+
+// 1-3 low, 4-6 medium, 7-10 high
+const energyLevel = (energy) => (energy == null ? null : energy <= 3 ? 'low' : energy <= 6 ? 'medium' : 'high');
+
+// Evidence behind a BPM, carried on each track for the review step's "why this BPM" panel
+const provenanceOf = (result) => ({
+  tier: result.tier || null,
+  model: result.model || null,
+  grounded: !!result.grounded,
+  manual: !!result.manual,
+  imported: !!result.imported,
+  sources: result.sources || [],
+  reportedSources: result.reportedSources || [],
+  searchQueries: result.searchQueries || [],
+  rawText: result.rawText || "",
+  readings: result.readings || [],
+  octaveCorrected: !!result.octaveCorrected,
+  localAnalysis: result.localAnalysis || null,
+  batchGrounding: result.batchGrounding || null,
+  updatedAt: result.updatedAt || null
+});
+
+const ENERGY_FILTER_OPTIONS = [
+  { value: "0", label: "Any energy" },
+  { value: "4", label: "Skip low energy (4+)" },
+  { value: "7", label: "High energy only (7+)" }
+];
+
+// What lookups know about a track besides its title and primary artist (see trackQuery.js)
+const trackHintOf = (track) => ({
+  spotifyId: track.id,
+  durationMs: track.duration_ms,
+  artists: (track.artists || []).map((a) => a?.name ?? a),
+  album: track.album?.name || "",
+  releaseDate: track.album?.release_date || ""
+});
+
+// options: { providerConfigs, consensusMode, consensusMinProviders, sourcePolicy, adaptiveTiers,
+// trackHint (see trackHintOf), spotifyGet, providerApiKeys, onRequestAborted }
+// Resolves to { bpm, key, camelot, energy, confidence, tier, model, sources, reportedSources, searchQueries,
+// grounded, rawText, readings, octaveCorrected, sourceDomains, sourceScore, untrusted } or null;
+// the evidence fields are kept as provenance
+async function getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog = null, abortSignal = null, updateLiveStatus = null, options = {}) {
+  const {
+    providerConfigs = DEFAULT_PROVIDER_CONFIGS,
+    consensusMode = false,
+    consensusMinProviders = 2,
+    sourcePolicy = DEFAULT_SOURCE_POLICY,
+    adaptiveTiers = false,
+    trackHint = {},
+    spotifyGet = null,
+    providerApiKeys = {},
+    onRequestAborted = null
+  } = options;
+
+  const setupProblem = providerSetupProblem(providerConfigs, { geminiApiKey });
+  if (setupProblem) {
+    throw new Error(setupProblem);
   }
 
   // Check if request was cancelled before starting
@@ -63,337 +207,242 @@ async function getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog =
     throw new Error("Request cancelled before starting");
   }
 
+  const chain = buildProviderChain(providerConfigs, { geminiApiKey, spotifyGet, providerApiKeys });
+  if (chain.length === 0) {
+    throw new Error("No BPM providers enabled - check Settings");
+  }
+  // Adaptive mode reorders by measured performance and leaves out benched tiers
+  const providers = adaptiveTiers ? rankProviders(chain).ordered : chain;
+  const benched = chain.filter((p) => !providers.includes(p));
+
   const songKey = `${title} - ${artist}`;
+
+  // Providers search for the cleaned-up title plus disambiguators; the log keeps both forms to compare hit rates
+  const query = buildTrackQuery({ title, artist, ...trackHint });
+  const queryLog = { rawQuery: `"${title}" by ${artist}`, query: describeQuery(query), normalized: query.normalized };
+  if (query.normalized) console.log(`🧹 Searching "${query.title}" for "${title}"`);
+
+  // Build the final result from reconciled readings and mark unused providers as skipped
+  // untrusted: every reading cited only untrusted domains, so confidence is capped
+  const finishConsensus = (consensus, unused, untrusted = false) => {
+    const lead = consensus.agreeing[0];
+    // Key from the first agreeing provider that reported a recognizable one
+    const keyReading = consensus.agreeing.find((r) => toCamelot(r.key));
+    const energies = consensus.agreeing.map((r) => r.energy).filter((e) => e != null);
+    const sources = uniq(consensus.agreeing.flatMap((r) => r.sources));
+    const result = {
+      bpm: consensus.bpm,
+      key: keyReading?.key ?? null,
+      camelot: toCamelot(keyReading?.key),
+      energy: energies.length ? Math.round(energies.reduce((a, b) => a + b, 0) / energies.length) : null,
+      confidence: untrusted ? Math.min(consensus.confidence, UNTRUSTED_CONFIDENCE) : consensus.confidence,
+      tier: consensus.agreeing.length > 1 ? "CONSENSUS" : lead.tier,
+      model: uniq(consensus.agreeing.map((r) => r.model)).join(" + "),
+      sources,
+      reportedSources: uniq(consensus.agreeing.flatMap((r) => r.reportedSources || [])),
+      searchQueries: uniq(consensus.agreeing.flatMap((r) => r.searchQueries || [])),
+      grounded: sources.length > 0,
+      rawText: lead.rawText,
+      sourceDomains: uniq(consensus.agreeing.flatMap((r) => r.sourceDomains || [])),
+      sourceScore: consensus.agreeing.reduce((best, r) => (r.sourceScore == null ? best : Math.max(best ?? 0, r.sourceScore)), null),
+      untrusted,
+      readings: consensus.readings.map(({ providerId, tier, model, bpm, rawText, sources: readingSources }) => ({
+        providerId, tier, model, bpm, rawText, sources: readingSources, grounded: readingSources.length > 0
+      })),
+      octaveCorrected: consensus.octaveCorrected
+    };
+    if (updateLiveStatus) {
+      updateLiveStatus(songKey, {
+        ...Object.fromEntries(consensus.readings.map((r) => [r.providerId, untrusted ? 'untrusted' : 'success'])),
+        ...Object.fromEntries(unused.map((p) => [p.id, 'skipped'])),
+        finalBPM: result.bpm,
+        confidence: result.confidence
+      });
+    }
+    if (addGeminiLog && consensusMode) {
+      addGeminiLog({
+        timestamp: new Date().toLocaleTimeString(),
+        song: `"${title}" by ${artist}`,
+        ...queryLog,
+        rawResponse: `Readings: ${consensus.readings.map((r) => `${r.bpm} (${r.tier})`).join(", ")} → ${result.bpm}${result.octaveCorrected ? " (octave-corrected)" : ""}, confidence ${result.confidence}`,
+        parsedBPM: result.bpm,
+        valid: true,
+        sources: result.sources.slice(0, 3),
+        grounded: result.sources.length > 0,
+        tier: "CONSENSUS",
+        model: result.model
+      });
+    }
+    return result;
+  };
   
-  // Initialize live status
+  // Initialize live status: first provider running, the rest pending
   if (updateLiveStatus) {
     console.log('🎵 Initializing live status for:', songKey);
     updateLiveStatus(songKey, {
       songName: title,
       artist: artist,
-      primary: 'running',
-      secondary: 'pending',
-      tertiary: 'pending',
+      ...Object.fromEntries(providers.map((p, i) => [p.id, i === 0 ? 'running' : 'pending'])),
+      ...Object.fromEntries(benched.map((p) => [p.id, 'benched'])),
       finalBPM: null
     });
   }
 
-  const genAI = new GoogleGenerativeAI(geminiApiKey);
-  
-  // Define the Google Search grounding tool
-  const groundingTool = { googleSearch: {} };
-  
-  const basePrompt = `Search Tunebat and SongBPM to find BPM (beats per minute) for the song "${title}" by ${artist}. 
-                     RETURN ONLY NUMERICAL BPM VALUE (e.g., "128" or "120.5") with source citations.`;
+  // Valid answers collected so far; in consensus mode we keep asking until enough agree.
+  // Answers resting only on untrusted domains are held back as a last resort.
+  const readings = [];
+  const untrustedReadings = [];
+  const minReadings = consensusMode ? Math.max(2, consensusMinProviders) : 1;
+
+  for (let i = 0; i < providers.length; i++) {
+    const provider = providers[i];
+    const next = providers[i + 1];
+    const tier = provider.name.toUpperCase();
+    const modelName = provider.config.model || provider.config.type;
 
-  // Helper function to extract BPM and grounding data from response
-  const extractBPMData = (result, modelName, tier) => {
-    if (!result || !result.response) {
-      throw new Error(`No response from ${modelName}`);
-    }
-    
-    // Get the response text with fallback
-    let bpmText = "";
     try {
-      bpmText = result.response.text()?.trim() || "";
-    } catch (textError) {
-      console.warn(`Failed to get text from ${modelName} response:`, textError);
-      bpmText = result.response.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || "";
-    }
-    
-    if (!bpmText) {
-      console.warn(`Empty response from ${modelName} for "${title}" by ${artist}`);
-      throw new Error(`Empty response from ${modelName} - possible content filtering`);
-    }
-    
-    // Extract grounding metadata for source verification
-    const groundingMetadata = result.response.candidates?.[0]?.groundingMetadata;
-    const searchQueries = groundingMetadata?.groundingSupports?.map(
-      support => support.segment?.text
-    ) || [];
-    const sources = groundingMetadata?.groundingSupports?.flatMap(
-      support => support.groundingChunkIndices?.map(
-        index => groundingMetadata.groundingChunks?.[index]?.web?.uri
-      ) || []
-    ) || [];
-    
-    // Enhanced number extraction - handle various formats
-    let bpm = null;
-    const decimalMatch = bpmText.match(/(\d+\.?\d*)/);
-    if (decimalMatch) {
-      bpm = parseFloat(decimalMatch[1]);
-    }
-    
-    // If still null, try to parse the whole response
-    if (bpm === null || isNaN(bpm)) {
-      bpm = parseFloat(bpmText);
-    }
+      console.log(`🎯 Trying ${tier} (${modelName}) for "${title}" by ${artist}`);
+      
+      // Check for cancellation before each tier
+      if (abortSignal?.aborted) {
+        throw new Error(`Request cancelled during ${tier} tier`);
+      }
+      
+      if (updateLiveStatus) {
+        updateLiveStatus(songKey, { [provider.id]: 'sending...' });
+      }
 
-    console.log(`🤖 ${tier} (${modelName}) Response for "${title}" by ${artist}:`);
-    console.log(`   Raw response: "${bpmText}"`);
-    console.log(`   Parsed BPM: ${bpm}`);
-    console.log(`   Valid? ${!isNaN(bpm) && bpm > 0 && bpm < 300}`);
-    console.log(`   Search queries used:`, searchQueries);
-    console.log(`   Sources found:`, sources);
+      const startedAt = Date.now();
+      const { bpmText, bpm, key, energy, sources, searchQueries, modelConfidence, reportedSources, sourceDomains, rejectReason: parseRejectReason } = await provider.lookup(query.title, query.artist, { abortSignal, trackHint, query });
+      const latencyMs = Date.now() - startedAt;
+      
+      if (updateLiveStatus) {
+        updateLiveStatus(songKey, { [provider.id]: 'processing...' });
+      }
+      
+      // Check for cancellation after API call
+      if (abortSignal?.aborted) {
+        throw new Error(`Request cancelled after ${tier} API call`);
+      }
 
-    return { bpmText, bpm, sources, searchQueries };
-  };
+      const trust = scoreSources(sourceDomains, sourcePolicy);
+      if (isValidBPM(bpm)) recordSourceScore(trust, trust.trusted);
+      recordTierOutcome(provider.id, { ok: true, valid: isValidBPM(bpm) && trust.trusted, latencyMs });
+      const rejectReason = parseRejectReason || (isValidBPM(bpm) && !trust.trusted
+        ? `only untrusted sources (${trust.domains.map((d) => d.domain).join(", ")}), score ${trust.score}`
+        : undefined);
 
-  // Tier 1: Primary - Gemini 2.5 Flash Lite with grounding
-  try {
-    console.log(`🥇 Trying PRIMARY (gemini-2.5-flash-lite) for "${title}" by ${artist}`);
-    
-    // Check for cancellation before each tier
-    if (abortSignal?.aborted) {
-      throw new Error("Request cancelled during PRIMARY tier");
-    }
-    
-    // Update status: Sending to API
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        primary: 'sending...'
-      });
-    }
-    
-    const primaryModel = genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash-lite",
-      generationConfig: {
-        temperature: 0.05, // Lower temperature for faster, more focused responses
-        maxOutputTokens: 50, // Reduced tokens for faster responses
-      },
-      tools: [groundingTool],
-    });
+      // Add to UI log
+      if (addGeminiLog) {
+        addGeminiLog({
+          timestamp: new Date().toLocaleTimeString(),
+          song: `"${title}" by ${artist}`,
+          ...queryLog,
+          rawResponse: i === 0 ? bpmText : `${tier}: ${bpmText}`,
+          parsedBPM: bpm,
+          valid: isValidBPM(bpm),
+          sources: sources.slice(0, 3),
+          searchQueries: searchQueries.slice(0, 2),
+          grounded: sources.length > 0,
+          tier,
+          model: modelName,
+          fallback: i > 0,
+          sourceScore: trust.score,
+          rejectReason
+        });
+      }
 
-    const primaryResult = await primaryModel.generateContent(basePrompt);
-    
-    // Update status: Response received
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        primary: 'processing...'
-      });
-    }
-    
-    // Check for cancellation after API call
-    if (abortSignal?.aborted) {
-      throw new Error("Request cancelled after PRIMARY API call");
-    }
-    
-    const { bpmText, bpm, sources, searchQueries } = extractBPMData(primaryResult, "gemini-2.5-flash-lite", "PRIMARY");
+      const reading = {
+        bpm, key, energy, providerId: provider.id, tier, model: modelName, sources, reportedSources, searchQueries,
+        rawText: bpmText, modelConfidence, sourceDomains, sourceScore: trust.score
+      };
+      if (isValidBPM(bpm) && !trust.trusted) {
+        console.log(`⚠️ ${tier} answered ${bpm} BPM from untrusted sources only - trying the next tier`);
+        untrustedReadings.push(reading);
+        if (updateLiveStatus) {
+          updateLiveStatus(songKey, {
+            [provider.id]: 'untrusted',
+            ...(next ? { [next.id]: 'running' } : {})
+          });
+        }
+        continue;
+      }
 
-    // Add to UI log
-    if (addGeminiLog) {
-      addGeminiLog({
-        timestamp: new Date().toLocaleTimeString(),
-        song: `"${title}" by ${artist}`,
-        rawResponse: bpmText,
-        parsedBPM: bpm,
-        valid: !isNaN(bpm) && bpm > 0 && bpm < 300,
-        sources: sources.slice(0, 3),
-        searchQueries: searchQueries.slice(0, 2),
-        grounded: sources.length > 0,
-        tier: "PRIMARY",
-        model: "gemini-2.5-flash-lite"
-      });
-    }
+      if (isValidBPM(bpm)) {
+        console.log(`✅ ${tier} successful: ${bpm} BPM`);
+        readings.push(reading);
 
-    if (!isNaN(bpm) && bpm > 0 && bpm < 300) {
-      console.log(`✅ PRIMARY successful: ${bpm} BPM`);
+        const consensus = reconcileReadings(readings);
+        const settled = readings.length >= minReadings && (!consensusMode || consensus.agreeing.length >= 2);
+        if (settled) {
+          return finishConsensus(consensus, providers.slice(i + 1));
+        }
+        if (updateLiveStatus) {
+          updateLiveStatus(songKey, {
+            [provider.id]: 'success',
+            ...(next ? { [next.id]: 'running' } : {})
+          });
+        }
+        continue;
+      }
+      console.log(`❌ ${tier} failed - ${rejectReason || 'invalid BPM'}: "${bpmText}"`);
       if (updateLiveStatus) {
         updateLiveStatus(songKey, {
-          primary: 'success',
-          secondary: 'skipped',
-          tertiary: 'skipped',
-          finalBPM: bpm
+          [provider.id]: 'failed',
+          ...(next ? { [next.id]: 'running' } : {})
         });
       }
-      return bpm;
-    }
-    console.log(`❌ PRIMARY failed - invalid BPM: "${bpmText}"`);
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        primary: 'failed',
-        secondary: 'running'
-      });
-    }
-  } catch (primaryErr) {
-    console.error(`🚨 PRIMARY failed for "${title}":`, primaryErr);
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        primary: 'error',
-        secondary: 'running'
-      });
-    }
-  }
-
-  // Tier 2: Secondary - Gemini 2.0 Flash with grounding
-  try {
-    console.log(`🥈 Trying SECONDARY (gemini-2.0-flash) for "${title}" by ${artist}`);
-    
-    // Check for cancellation before secondary tier
-    if (abortSignal?.aborted) {
-      throw new Error("Request cancelled during SECONDARY tier");
-    }
-    
-    // Update status: Sending to API
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        secondary: 'sending...'
-      });
-    }
-    
-    const secondaryModel = genAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
-      generationConfig: {
-        temperature: 0.1, // Slightly higher for secondary
-        maxOutputTokens: 60, // Reduced tokens for faster responses
-      },
-      tools: [groundingTool],
-    });
-
-    const secondaryResult = await secondaryModel.generateContent(basePrompt);
-    
-    // Update status: Response received
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        secondary: 'processing...'
-      });
-    }
-    
-    // Check for cancellation after API call
-    if (abortSignal?.aborted) {
-      throw new Error("Request cancelled after SECONDARY API call");
-    }
-    
-    const { bpmText, bpm, sources, searchQueries } = extractBPMData(secondaryResult, "gemini-2.0-flash", "SECONDARY");
-
-    // Add to UI log
-    if (addGeminiLog) {
-      addGeminiLog({
-        timestamp: new Date().toLocaleTimeString(),
-        song: `"${title}" by ${artist}`,
-        rawResponse: `SECONDARY: ${bpmText}`,
-        parsedBPM: bpm,
-        valid: !isNaN(bpm) && bpm > 0 && bpm < 300,
-        sources: sources.slice(0, 3),
-        searchQueries: searchQueries.slice(0, 2),
-        grounded: sources.length > 0,
-        tier: "SECONDARY",
-        model: "gemini-2.0-flash",
-        fallback: true
-      });
-    }
-
-    if (!isNaN(bpm) && bpm > 0 && bpm < 300) {
-      console.log(`✅ SECONDARY successful: ${bpm} BPM`);
+    } catch (err) {
+      // Cancellation ends the whole lookup instead of falling through to the next tier
+      if (abortSignal?.aborted) {
+        if (err.midFlight) onRequestAborted?.();
+        console.log(`🚫 ${tier} cancelled for "${title}"${err.midFlight ? ' (request aborted mid-flight)' : ''}`);
+        if (updateLiveStatus) {
+          updateLiveStatus(songKey, {
+            ...Object.fromEntries(providers.slice(i).map((p) => [p.id, 'cancelled'])),
+            cancelled: true
+          });
+        }
+        throw err.message.includes('cancelled') ? err : new Error(`Request cancelled during ${tier} tier`);
+      }
+      // Out of budget: no other tier may spend either
+      if (err.budgetExceeded) {
+        if (updateLiveStatus) {
+          updateLiveStatus(songKey, Object.fromEntries(providers.slice(i).map((p) => [p.id, 'over budget'])));
+        }
+        throw err;
+      }
+      recordTierOutcome(provider.id, { ok: false });
+      // Still rate limited after backing off: the next tier shares the same quota pressure, so stop here
+      if (err.rateLimited) {
+        console.warn(`⏱️ ${tier} still rate limited for "${title}" - not falling through to other tiers`);
+        if (updateLiveStatus) {
+          updateLiveStatus(songKey, {
+            [provider.id]: 'rate limited',
+            ...Object.fromEntries(providers.slice(i + 1).map((p) => [p.id, 'skipped']))
+          });
+        }
+        throw err;
+      }
+      console.error(`🚨 ${tier} failed for "${title}":`, err);
       if (updateLiveStatus) {
         updateLiveStatus(songKey, {
-          secondary: 'success',
-          tertiary: 'skipped',
-          finalBPM: bpm
+          [provider.id]: 'error',
+          ...(next ? { [next.id]: 'running' } : {})
         });
       }
-      return bpm;
-    }
-    console.log(`❌ SECONDARY failed - invalid BPM: "${bpmText}"`);
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        secondary: 'failed',
-        tertiary: 'running'
-      });
-    }
-  } catch (secondaryErr) {
-    console.error(`🚨 SECONDARY failed for "${title}":`, secondaryErr);
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        secondary: 'error',
-        tertiary: 'running'
-      });
     }
   }
 
-  // Tier 3: Tertiary - Gemini 2.5 Flash with grounding
-  try {
-    console.log(`🥉 Trying TERTIARY (gemini-2.5-flash) for "${title}" by ${artist}`);
-    
-    // Check for cancellation before tertiary tier
-    if (abortSignal?.aborted) {
-      throw new Error("Request cancelled during TERTIARY tier");
-    }
-    
-    // Update status: Sending to API
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        tertiary: 'sending...'
-      });
-    }
-    
-    const tertiaryModel = genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash",
-      generationConfig: {
-        temperature: 0.15, // Slightly higher for tertiary fallback
-        maxOutputTokens: 50, // Reduced tokens for faster responses
-      },
-      tools: [groundingTool],
-    });
-
-    const tertiaryResult = await tertiaryModel.generateContent(basePrompt);
-    
-    // Update status: Response received
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        tertiary: 'processing...'
-      });
-    }
-    
-    // Check for cancellation after API call
-    if (abortSignal?.aborted) {
-      throw new Error("Request cancelled after TERTIARY API call");
-    }
-    
-    const { bpmText, bpm, sources, searchQueries } = extractBPMData(tertiaryResult, "gemini-2.5-flash", "TERTIARY");
-
-    // Add to UI log
-    if (addGeminiLog) {
-      addGeminiLog({
-        timestamp: new Date().toLocaleTimeString(),
-        song: `"${title}" by ${artist}`,
-        rawResponse: `TERTIARY: ${bpmText}`,
-        parsedBPM: bpm,
-        valid: !isNaN(bpm) && bpm > 0 && bpm < 300,
-        sources: sources.slice(0, 3),
-        searchQueries: searchQueries.slice(0, 2),
-        grounded: sources.length > 0,
-        tier: "TERTIARY",
-        model: "gemini-2.5-flash",
-        fallback: true
-      });
-    }
+  // Consensus mode ran out of providers without full agreement: use what we have
+  if (readings.length > 0) {
+    return finishConsensus(reconcileReadings(readings), []);
+  }
 
-    if (!isNaN(bpm) && bpm > 0 && bpm < 300) {
-      console.log(`✅ TERTIARY successful: ${bpm} BPM`);
-      if (updateLiveStatus) {
-        updateLiveStatus(songKey, {
-          tertiary: 'success',
-          finalBPM: bpm
-        });
-      }
-      return bpm;
-    }
-    console.log(`❌ TERTIARY failed - invalid BPM: "${bpmText}"`);
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        tertiary: 'failed',
-        finalBPM: null
-      });
-    }
-  } catch (tertiaryErr) {
-    console.error(`🚨 TERTIARY failed for "${title}":`, tertiaryErr);
-    if (updateLiveStatus) {
-      updateLiveStatus(songKey, {
-        tertiary: 'error',
-        finalBPM: null
-      });
-    }
+  // Only untrusted answers: keep the tempo, flagged and with low confidence
+  if (untrustedReadings.length > 0) {
+    console.log(`⚠️ Only untrusted sources for "${title}" - keeping the answer with low confidence`);
+    return finishConsensus(reconcileReadings(untrustedReadings), [], true);
   }
 
   // All tiers failed - add error log and return null
@@ -408,7 +457,8 @@ async function getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog =
     addGeminiLog({
       timestamp: new Date().toLocaleTimeString(),
       song: `"${title}" by ${artist}`,
-      rawResponse: "ERROR: All three tiers failed",
+      ...queryLog,
+      rawResponse: `ERROR: All ${providers.length} tiers failed`,
       parsedBPM: null,
       valid: false,
       error: true,
@@ -419,16 +469,301 @@ async function getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog =
   return null;
 }
 
-async function fetchTemposForTracksWithGemini(tracks, geminiApiKey, addGeminiLog = null, abortSignal = null, updateLiveStatus = null) {
+// -------------------- Cached BPM lookup --------------------
+// Lookups already running for a song (see songIdentity.js); concurrent callers share the same promise
+const inFlightLookups = new Map();
+
+// A BPM the user entered by hand wins over anything a provider produced.
+// Falls back to the ISRC so imported values match the same recording under another track id,
+// then to the song key so a single, its album cut and compilation reissues share one tempo.
+async function getStoredBPM(track, cacheTtlMs, distinctVersions = true) {
+  const isrc = track.external_ids?.isrc;
+  const identity = songIdentity(track);
+  const override = (await getBPMOverride(track.id)) || (await getBPMOverrideByIsrc(isrc)) || (await getBPMOverrideBySong(identity, distinctVersions));
+  if (override) {
+    return { bpm: override.bpm, confidence: 1, tier: 'MANUAL', model: null, sources: [], manual: true };
+  }
+  const own = (await getCachedBPM(track.id, cacheTtlMs)) || (await getCachedBPMByIsrc(isrc, cacheTtlMs));
+  if (own) return own;
+  const shared = await getCachedBPMBySong(identity, cacheTtlMs, distinctVersions);
+  if (shared) console.log(`🔗 "${track.name}" shares its BPM with "${shared.title}" (${shared.trackId})`);
+  return shared;
+}
+
+// Identity fields stored with every cached tempo so the database can be exported and shared
+const trackIdentity = (track) => ({
+  title: track.name,
+  artist: track.artists?.[0]?.name || track.artists?.[0] || 'Unknown Artist',
+  isrc: track.external_ids?.isrc || null,
+  durationMs: track.duration_ms || null
+});
+
+function reportCacheHit(track, cached, updateLiveStatus, providerConfigs) {
+  const title = track.name;
+  const artist = track.artists?.[0]?.name || track.artists?.[0] || 'Unknown Artist';
+  console.log(`💾 Cache hit for "${title}": ${cached.bpm} BPM (${cached.tier})`);
+  if (updateLiveStatus) {
+    const enabled = providerConfigs.filter((c) => c.enabled !== false);
+    const state = cached.manual ? 'manual' : 'cached';
+    updateLiveStatus(`${title} - ${artist}`, {
+      songName: title,
+      artist: artist,
+      ...Object.fromEntries(enabled.map((c, i) => [c.id, i === 0 ? state : 'skipped'])),
+      finalBPM: cached.bpm,
+      confidence: cached.confidence
+    });
+  }
+}
+
+// Check manual overrides and the persistent cache first, then fall back to the Gemini tiers and store the result.
+// Tracks every tier fails on are kept in the unresolved inbox.
+// options: { cacheTtlMs, ...getTrackBPMWithGemini options }
+// Resolves to the full BPM record (see getTrackBPMWithGemini) or null
+async function lookupTrackBPM(track, geminiApiKey, addGeminiLog = null, abortSignal = null, updateLiveStatus = null, options = {}) {
+  const { cacheTtlMs = 0, providerConfigs = DEFAULT_PROVIDER_CONFIGS, distinctVersions = true } = options;
+  const title = track.name;
+  const artist = track.artists?.[0]?.name || track.artists?.[0] || 'Unknown Artist';
+  const songKey = textKeyOf(songIdentity(track), distinctVersions);
+
+  const cached = await getStoredBPM(track, cacheTtlMs, distinctVersions);
+  if (cached) {
+    reportCacheHit(track, cached, updateLiveStatus, providerConfigs);
+    return cached;
+  }
+
+  if (inFlightLookups.has(songKey)) {
+    console.log(`🔗 Joining in-flight lookup for "${songKey}"`);
+    return inFlightLookups.get(songKey);
+  }
+
+  // Providers that can use more than title/artist (e.g. the site provider's duration check) get the track's ids
+  const promise = getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog, abortSignal, updateLiveStatus, { ...options, trackHint: trackHintOf(track) });
+  inFlightLookups.set(songKey, promise);
+  try {
+    const result = await promise;
+    if (result) {
+      await putCachedBPM(track.id, { ...result, ...trackIdentity(track) });
+      await removeUnresolved(track.id);
+    } else {
+      await markUnresolved(track);
+    }
+    return result;
+  } finally {
+    inFlightLookups.delete(songKey);
+  }
+}
+
+// -------------------- Batch BPM lookup --------------------
+const BATCH_CONCURRENCY = 3; // Batch requests in flight at once
+
+// Look every track up in Spotify's audio-features (pooled into 100-id requests) and store the hits in `tempos`.
+// Returns the tracks it had no tempo for, in their original order.
+async function resolveWithAudioFeatures(provider, tracks, tempos, abortSignal = null, updateLiveStatus = null) {
+  const tier = provider.name.toUpperCase();
+  const answered = await Promise.all(tracks.map(async (track) => {
+    const title = track.name;
+    const artist = track.artists?.[0]?.name || track.artists?.[0] || 'Unknown Artist';
+    try {
+      const answer = await provider.lookup(title, artist, { abortSignal, trackHint: trackHintOf(track) });
+      if (!isValidBPM(answer.bpm)) return false;
+      const result = {
+        bpm: answer.bpm,
+        key: answer.key,
+        camelot: toCamelot(answer.key),
+        energy: answer.energy,
+        confidence: SINGLE_READING_CONFIDENCE,
+        tier,
+        model: provider.config.model,
+        sources: answer.sources,
+        reportedSources: answer.reportedSources,
+        searchQueries: [],
+        grounded: true,
+        rawText: answer.bpmText
+      };
+      tempos[track.id] = result;
+      await putCachedBPM(track.id, { ...result, ...trackIdentity(track) });
+      await removeUnresolved(track.id);
+      if (updateLiveStatus) {
+        updateLiveStatus(`${title} - ${artist}`, { songName: title, artist, [provider.id]: 'success', finalBPM: result.bpm, confidence: result.confidence });
+      }
+      return true;
+    } catch (err) {
+      // 403s switch the provider off (see spotifyAudioFeatures.js); the batch tiers pick these up
+      console.warn(`🎚️ ${tier} lookup failed for "${title}":`, err.message);
+      return false;
+    }
+  }));
+  return tracks.filter((_, i) => !answered[i]);
+}
+
+// Resolve uncached tracks many-per-request into `tempos`.
+// Returns the tracks that still need a single-track lookup (missing or invalid in their batch).
+async function resolveTempoBatches(tracks, tempos, geminiApiKey, addGeminiLog = null, abortSignal = null, updateLiveStatus = null, options = {}) {
+  const { cacheTtlMs = 0, providerConfigs = DEFAULT_PROVIDER_CONFIGS, batchSize = 20, sourcePolicy = DEFAULT_SOURCE_POLICY, adaptiveTiers = false, spotifyGet = null, providerApiKeys = {}, distinctVersions = true } = options;
+  const chain = buildProviderChain(providerConfigs, { geminiApiKey, spotifyGet, providerApiKeys });
+  const provider = (adaptiveTiers ? rankProviders(chain).ordered : chain).find((p) => p.lookupBatch);
+  if (!provider) return tracks;
+  const tier = `${provider.name.toUpperCase()} BATCH`;
+
+  const uncached = [];
+  for (const track of tracks) {
+    const cached = await getStoredBPM(track, cacheTtlMs, distinctVersions);
+    if (cached) {
+      reportCacheHit(track, cached, updateLiveStatus, providerConfigs);
+      tempos[track.id] = cached;
+    } else {
+      uncached.push(track);
+    }
+  }
+
+  // Other releases of a song in the same list are asked about once and share the answer
+  const { unique: uncachedSongs, duplicates } = dedupeSongs(uncached, { distinctVersions });
+  if (duplicates.length > 0) console.log(`🔗 Batch mode: ${duplicates.length} tracks are other releases of songs already in the list`);
+
+  // Spotify's audio-features answer by track id without spending LLM calls; only what they miss is batched
+  const audioFeatures = chain.find((p) => p.config.type === "spotify");
+  const unanswered = audioFeatures
+    ? await resolveWithAudioFeatures(audioFeatures, uncachedSongs, tempos, abortSignal, updateLiveStatus)
+    : uncachedSongs;
+
+  const size = Math.min(MAX_BATCH_SIZE, Math.max(MIN_BATCH_SIZE, batchSize));
+  const batches = chunk(unanswered, size);
+  const leftovers = [];
+  console.log(`📦 Batch mode: ${unanswered.length} uncached tracks in ${batches.length} batches of up to ${size}`);
+
+  const resolveBatch = async (batch, batchNo) => {
+    const songs = batch.map((t) => {
+      const title = t.name;
+      const artist = t.artists?.[0]?.name || t.artists?.[0] || 'Unknown Artist';
+      return { track: t, title, artist, songKey: `${title} - ${artist}`, query: buildTrackQuery({ title, artist, ...trackHintOf(t) }) };
+    });
+    const normalizedSongs = songs.filter((s) => s.query.normalized);
+    if (updateLiveStatus) {
+      songs.forEach(({ title, artist, songKey }) => updateLiveStatus(songKey, {
+        songName: title,
+        artist: artist,
+        batch: batchNo,
+        [provider.id]: 'batched...',
+        finalBPM: null
+      }));
+    }
+
+    try {
+      const { answers, rejected, error, rawText, sources, searchQueries, sourceDomains } = await provider.lookupBatch(songs, { abortSignal });
+      if (addGeminiLog) {
+        addGeminiLog({
+          timestamp: new Date().toLocaleTimeString(),
+          song: `Batch #${batchNo} (${songs.length} songs)`,
+          batchSize: songs.length,
+          rawQuery: normalizedSongs.map((s) => `"${s.title}"`).join(" | "),
+          query: normalizedSongs.map((s) => `"${s.query.title}"`).join(" | "),
+          normalized: normalizedSongs.length > 0,
+          rawResponse: rawText,
+          parsedBPM: null,
+          valid: Object.keys(answers).length > 0,
+          sources: sources.slice(0, 3),
+          searchQueries: searchQueries.slice(0, 2),
+          grounded: sources.length > 0,
+          tier,
+          model: provider.config.model,
+          rejectReason: error || (Object.keys(rejected).length > 0
+            ? `rejected: ${Object.entries(rejected).map(([i, reason]) => `#${Number(i) + 1} ${reason}`).join("; ")}`
+            : undefined)
+        });
+      }
+
+      for (let i = 0; i < songs.length; i++) {
+        const { track, songKey } = songs[i];
+        const answer = answers[i];
+        // The batch's grounding citations can't be tied to one song: only what this answer cited itself is scored
+        const trust = answer && scoreSources(answer.sources.map(domainOf), sourcePolicy);
+        if (answer && isValidBPM(answer.bpm)) recordSourceScore(trust, trust.trusted);
+        if (answer && isValidBPM(answer.bpm) && trust.trusted) {
+          const result = {
+            bpm: answer.bpm,
+            key: answer.key,
+            camelot: toCamelot(answer.key),
+            energy: answer.energy,
+            confidence: SINGLE_READING_CONFIDENCE,
+            tier,
+            model: provider.config.model,
+            sources: [],
+            reportedSources: answer.sources,
+            searchQueries: [],
+            grounded: false,
+            // Kept apart from the track's own evidence: these searches were made for the whole request
+            batchGrounding: sources.length > 0 ? { batch: batchNo, songs: songs.length, sources, searchQueries, sourceDomains } : null,
+            rawText: JSON.stringify(answer),
+            sourceDomains: trust.domains.map((d) => d.domain),
+            sourceScore: trust.score,
+            modelConfidence: answer.confidence,
+            batch: batchNo
+          };
+          tempos[track.id] = result;
+          await putCachedBPM(track.id, { ...result, ...trackIdentity(track) });
+          await removeUnresolved(track.id);
+          if (updateLiveStatus) {
+            updateLiveStatus(songKey, { [provider.id]: 'success', finalBPM: answer.bpm, confidence: result.confidence });
+          }
+        } else {
+          leftovers.push(track);
+          if (updateLiveStatus) {
+            updateLiveStatus(songKey, { [provider.id]: rejected[i] ? 'batch invalid' : answer ? 'batch untrusted' : 'batch missing' });
+          }
+        }
+      }
+    } catch (err) {
+      if (abortSignal?.aborted) {
+        if (err.midFlight) options.onRequestAborted?.();
+        if (updateLiveStatus) {
+          songs.forEach(({ songKey }) => updateLiveStatus(songKey, { [provider.id]: 'cancelled', cancelled: true }));
+        }
+        return;
+      }
+      console.error(`🚨 Batch #${batchNo} failed:`, err);
+      leftovers.push(...batch);
+      if (updateLiveStatus) {
+        const state = err.budgetExceeded ? 'over budget' : err.rateLimited ? 'rate limited' : 'batch error';
+        songs.forEach(({ songKey }) => updateLiveStatus(songKey, { [provider.id]: state }));
+      }
+    }
+  };
+
+  const groups = chunk(batches.map((batch, i) => [batch, i + 1]), BATCH_CONCURRENCY);
+  for (const group of groups) {
+    if (abortSignal?.aborted || budgetExceededReason()) break;
+    await Promise.all(group.map(([batch, batchNo]) => resolveBatch(batch, batchNo)));
+  }
+
+  for (const { track, duplicateOf } of duplicates) {
+    if (tempos[duplicateOf.id]) tempos[track.id] = tempos[duplicateOf.id];
+    else leftovers.push(track);
+  }
+
+  console.log(`📦 Batch mode resolved ${uncached.length - leftovers.length}/${uncached.length}; ${leftovers.length} fall back to single lookups`);
+  return leftovers;
+}
+
+// options: { batchMode, batchSize, ...lookupTrackBPM options }
+// Resolves to { [trackId]: BPM record } for every track that got a tempo
+async function fetchTemposForTracksWithGemini(tracks, geminiApiKey, addGeminiLog = null, abortSignal = null, updateLiveStatus = null, options = {}) {
   if (!tracks || tracks.length === 0) return {};
   
   const tempos = {};
-  const maxConcurrent = 30; // Maximum concurrent requests
+
+  // Batch mode resolves most tracks many-per-request; only leftovers get single lookups
+  const queue = options.batchMode
+    ? await resolveTempoBatches(tracks, tempos, geminiApiKey, addGeminiLog, abortSignal, updateLiveStatus, options)
+    : tracks;
+
+  // Workers only pull tracks off the queue; the shared rate controller decides
+  // how many Gemini requests are actually in flight at once
+  const workerCount = Math.min(queue.length, geminiRateController.snapshot().maxConcurrency);
   let currentIndex = 0;
-  let activePromises = new Set();
   let completed = 0;
+  let budgetExhausted = false;
 
-  console.log(`\n� Starting rolling batch processing for ${tracks.length} tracks with max ${maxConcurrent} concurrent requests...`);
+  console.log(`\n🔄 Starting rolling processing for ${queue.length} tracks (Gemini concurrency ${geminiRateController.snapshot().limit}, adaptive)...`);
 
   // Function to process a single track
   const processTrack = async (track, index) => {
@@ -436,60 +771,52 @@ async function fetchTemposForTracksWithGemini(tracks, geminiApiKey, addGeminiLog
     const artist = track.artists?.[0]?.name || track.artists?.[0] || 'Unknown Artist';
     
     try {
-      const bpm = await getTrackBPMWithGemini(title, artist, geminiApiKey, addGeminiLog, abortSignal, updateLiveStatus);
-      if (bpm !== null) {
-        tempos[track.id] = bpm;
+      const result = await lookupTrackBPM(track, geminiApiKey, addGeminiLog, abortSignal, updateLiveStatus, options);
+      const bpm = result?.bpm ?? null;
+      if (result) {
+        tempos[track.id] = result;
       }
       
       completed++;
-      console.log(`✅ [${completed}/${tracks.length}] "${title}": ${bpm ? `${bpm} BPM` : 'Failed'}`);
+      console.log(`✅ [${completed}/${queue.length}] "${title}": ${bpm ? `${bpm} BPM` : 'Failed'}`);
       
       return { trackId: track.id, bpm, title, artist, index };
     } catch (error) {
       completed++;
       if (error.message.includes("cancelled")) {
-        console.log(`🚫 [${completed}/${tracks.length}] "${title}": Cancelled`);
+        console.log(`🚫 [${completed}/${queue.length}] "${title}": Cancelled`);
         return { trackId: track.id, bpm: null, title, artist, cancelled: true, index };
       }
-      console.error(`❌ [${completed}/${tracks.length}] "${title}": ${error.message}`);
+      if (error.budgetExceeded) {
+        budgetExhausted = true;
+      }
+      console.error(`❌ [${completed}/${queue.length}] "${title}": ${error.message}`);
       return { trackId: track.id, bpm: null, title, artist, index };
     }
   };
 
-  // Start initial batch
-  while (currentIndex < tracks.length && activePromises.size < maxConcurrent) {
-    if (abortSignal?.aborted) break;
-    
-    const track = tracks[currentIndex];
-    const promise = processTrack(track, currentIndex);
-    activePromises.add(promise);
-    currentIndex++;
-    
-    // When this promise completes, start the next track immediately
-    promise.finally(() => {
-      activePromises.delete(promise);
-      
-      // Start next track if available and not cancelled
-      if (currentIndex < tracks.length && !abortSignal?.aborted) {
-        const nextTrack = tracks[currentIndex];
-        const nextPromise = processTrack(nextTrack, currentIndex);
-        activePromises.add(nextPromise);
-        currentIndex++;
-        
-        nextPromise.finally(() => activePromises.delete(nextPromise));
-      }
-    });
-  }
+  const worker = async () => {
+    while (currentIndex < queue.length && !abortSignal?.aborted && !budgetExhausted) {
+      const index = currentIndex++;
+      await processTrack(queue[index], index);
+    }
+  };
 
-  // Wait for all active promises to complete
-  while (activePromises.size > 0 && !abortSignal?.aborted) {
-    await Promise.race(activePromises);
-  }
+  await Promise.all(Array.from({ length: workerCount }, worker));
 
   console.log(`\n🎉 Rolling batch processing completed: ${Object.keys(tempos).length}/${tracks.length} tracks successful`);
   return tempos;
 }
 
+// Which reading of a BPM (as-is, half-time or double-time) falls in the range; null when none does
+function tempoInRange(bpm, [minBpm, maxBpm]) {
+  if (!isValidBPM(bpm)) return null;
+  if (bpm >= minBpm && bpm <= maxBpm) return { tempo: bpm, tempoType: "original" };
+  if (bpm / 2 >= minBpm && bpm / 2 <= maxBpm) return { tempo: bpm / 2, tempoType: "half-time" };
+  if (bpm * 2 >= minBpm && bpm * 2 <= maxBpm) return { tempo: bpm * 2, tempoType: "double-time" };
+  return null;
+}
+
 // Helper function to filter tracks by BPM range (including half-time and double-time)
 function filterTracksByTempo(tracks, tempos, tempoRange) {
   const [minBpm, maxBpm] = tempoRange;
@@ -553,7 +880,7 @@ function useTrackTempos(tracks, geminiApiKey) {
       
       try {
         const tempoData = await fetchTemposForTracksWithGemini(tracks, geminiApiKey);
-        setTempos(tempoData);
+        setTempos(Object.fromEntries(Object.entries(tempoData).map(([id, r]) => [id, r.bpm])));
         console.log('Track BPMs from Gemini:', tempoData);
       } catch (err) {
         console.error('Error fetching BPMs with Gemini:', err);
@@ -569,14 +896,6 @@ function useTrackTempos(tracks, geminiApiKey) {
   return { tempos, loading, error };
 }
 
-const SCOPE = [
-  "user-read-email",
-  "playlist-read-private",
-  "playlist-modify-private",
-  "playlist-modify-public",
-  "user-library-read",
-].join(" ");
-
 // Spotify requires 127.0.0.1 instead of localhost for local development
 // For production, use the actual domain
 const DEFAULT_REDIRECT = typeof window !== "undefined" ? 
@@ -584,33 +903,6 @@ const DEFAULT_REDIRECT = typeof window !== "undefined" ?
     window.location.origin.replace('localhost', '127.0.0.1') : 
     window.location.origin + window.location.pathname) : "";
 
-// -------------------- PKCE helpers --------------------
-async function sha256(plain) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(plain);
-  const digest = await crypto.subtle.digest("SHA-256", data);
-  return new Uint8Array(digest);
-}
-
-function base64urlencode(a) {
-  let str = "";
-  const len = a.byteLength;
-  for (let i = 0; i < len; i++) str += String.fromCharCode(a[i]);
-  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
-}
-
-async function createCodeChallenge(verifier) {
-  const hash = await sha256(verifier);
-  return base64urlencode(hash);
-}
-
-function randString(length = 64) {
-  const possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~";
-  let out = "";
-  for (let i = 0; i < length; i++) out += possible.charAt(Math.floor(Math.random() * possible.length));
-  return out;
-}
-
 // -------------------- Main Component --------------------
 export default function App() {
   // Initialize with environment variables, fallback to localStorage, then empty string
@@ -630,9 +922,13 @@ export default function App() {
     ""
   );
 
-  const [accessToken, setAccessToken] = useState(localStorage.getItem("spotify_access_token") || "");
-  const [refreshToken, setRefreshToken] = useState(localStorage.getItem("spotify_refresh_token") || "");
-  const [tokenExpiry, setTokenExpiry] = useState(parseInt(localStorage.getItem("spotify_token_expiry") || "0", 10));
+  // Mirrors of the shared Spotify session (see spotifySession.js)
+  const [accessToken, setAccessToken] = useState(() => getSession().accessToken);
+  const [refreshToken, setRefreshToken] = useState(() => getSession().refreshToken);
+  const [tokenExpiry, setTokenExpiry] = useState(() => getSession().expiresAt);
+  const [grantedScope, setGrantedScope] = useState(() => getSession().scope);
+  const [scopeRefused, setScopeRefused] = useState(false); // A Spotify call failed for lack of a scope
+  const [authNotice, setAuthNotice] = useState(null); // { color, text, revokeHint } shown on the login page
 
   const [me, setMe] = useState(null);
   const [playlists, setPlaylists] = useState([]);
@@ -644,6 +940,28 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [log, setLog] = useState([]);
   const [abortController, setAbortController] = useState(null); // For cancelling API requests
+  const [scanCancelled, setScanCancelled] = useState(false); // Last scan was cancelled by the user
+  const [abortedRequestCount, setAbortedRequestCount] = useState(0); // Gemini requests aborted mid-flight
+  const [rateState, setRateState] = useState(() => geminiRateController.snapshot()); // Shared Gemini concurrency/backoff
+  const [spotifyRateState, setSpotifyRateState] = useState(() => spotifyThrottle.snapshot()); // Shared Spotify concurrency/backoff
+  const [geminiUsage, setGeminiUsage] = useState(() => getUsageSnapshot()); // Calls/tokens this scan and today
+  const [geminiBudget, setGeminiBudget] = useState(() => loadBudget()); // 0 = unlimited
+  const [budgetStopReason, setBudgetStopReason] = useState(null); // Set when the last scan ran out of budget
+  const [unresolvedTracks, setUnresolvedTracks] = useState([]); // Tracks no provider could find a BPM for
+  const [unresolvedProvider, setUnresolvedProvider] = useState("all"); // Provider id to retry with, or "all"
+  const [manualBpmInputs, setManualBpmInputs] = useState({}); // trackId -> BPM typed or tapped in
+  const [tapTrackId, setTapTrackId] = useState(null); // Track the tap-tempo widget is filling in
+  const [retryingIds, setRetryingIds] = useState([]);
+  const [audioAnalyses, setAudioAnalyses] = useState([]); // Dropped-in audio files: detected tempo and matched track
+  const [analyzingAudio, setAnalyzingAudio] = useState(false);
+  const [librarySource, setLibrarySource] = useState("spotify"); // "spotify" or "local" (a folder of audio files)
+  const [localTracks, setLocalTracks] = useState([]); // Tracks read from the local folder, shaped like Spotify tracks
+  const [localLibraryName, setLocalLibraryName] = useState("");
+  const [loadingLibrary, setLoadingLibrary] = useState(null); // { done, total } while reading tags
+  const [importPolicy, setImportPolicy] = useState("manual"); // Merge rule for BPM database imports
+  const [sourcePolicy, setSourcePolicy] = useState(() => loadSourcePolicy()); // Trusted/denied domains and weights
+  const [domainRulesText, setDomainRulesText] = useState(() => formatDomainRules(loadSourcePolicy().domains));
+  const [sourceBreakdown, setSourceBreakdown] = useState({}); // domain -> { weight, answers, accepted } this session
 
   const [candidates, setCandidates] = useState([]); // {id, uri, name, artists:[], tempo}
   const [newPlaylistName, setNewPlaylistName] = useState("");
@@ -667,6 +985,94 @@ export default function App() {
   const [geminiLogs, setGeminiLogs] = useState([]); // Live Gemini API responses
   const [geminiLiveStatus, setGeminiLiveStatus] = useState({}); // Live status table for each song
 
+  // Persistent BPM cache settings
+  const [bpmCacheTtlDays, setBpmCacheTtlDays] = useState(
+    parseInt(localStorage.getItem("bpm_cache_ttl_days") || "30", 10)
+  ); // 0 = never expire
+  const [bpmCacheCount, setBpmCacheCount] = useState(0);
+  const bpmCacheTtlMs = bpmCacheTtlDays > 0 ? bpmCacheTtlDays * 24 * 60 * 60 * 1000 : 0;
+  // Live and remix versions are separate songs (own BPM, both may appear in a playlist)
+  const [distinctVersions, setDistinctVersions] = useState(localStorage.getItem("song_distinct_versions") !== "false");
+
+  // BPM provider chain (ordered; editable in Settings)
+  const [providerConfigs, setProviderConfigs] = useState(loadProviderConfigs);
+  // Keys of the OpenAI-compatible providers, by provider id, stored apart from the configs
+  const [providerApiKeys, setProviderApiKeys] = useState(loadProviderApiKeys);
+  const enabledProviders = providerConfigs.filter((c) => c.enabled !== false);
+  const bpmSetupProblem = providerSetupProblem(providerConfigs, { geminiApiKey });
+
+  // Consensus mode: ask several providers and reconcile (octave-aware) before accepting a tempo
+  const [consensusMode, setConsensusMode] = useState(localStorage.getItem("bpm_consensus_mode") === "true");
+  const [consensusMinProviders, setConsensusMinProviders] = useState(
+    parseInt(localStorage.getItem("bpm_consensus_min_providers") || "2", 10)
+  );
+  const [minConfidence, setMinConfidence] = useState(0); // Review-step confidence filter
+  const [reviewOrder, setReviewOrder] = useState("found"); // "found" | "harmonic" | "energy-up" | "energy-down"
+  const [minEnergy, setMinEnergy] = useState(0); // Skip tracks rated below this energy (0 = any; unrated tracks pass)
+  const [groundedOnly, setGroundedOnly] = useState(false); // Review: hide BPMs without a grounded source (manual values stay)
+  const [evidenceTrack, setEvidenceTrack] = useState(null); // Track whose "why this BPM" panel is open
+
+  // Batch mode: send many title/artist pairs per Gemini request when analyzing whole track lists
+  const [batchMode, setBatchMode] = useState(localStorage.getItem("bpm_batch_mode") === "true");
+  const [batchSize, setBatchSize] = useState(parseInt(localStorage.getItem("bpm_batch_size") || "20", 10));
+
+  // Adaptive tiers: reorder/bench providers by their measured success, validity and latency
+  const [adaptiveTiers, setAdaptiveTiers] = useState(localStorage.getItem("bpm_adaptive_tiers") !== "false");
+  const [tierStats, setTierStats] = useState({}); // providerId -> moving averages (see tierStats.js)
+  const [audioFeaturesOff, setAudioFeaturesOff] = useState(null); // Why Spotify audio-features is off this session
+  const tierRanking = useMemo(() => rankProviders(enabledProviders).ranking, [tierStats, providerConfigs]);
+  // Valid-answer rate of single provider calls whose title was normalized vs. sent unchanged (from the Gemini log)
+  const queryHitRates = useMemo(() => {
+    const calls = geminiLogs.filter((log) => log.query && !log.error && !log.batchSize && log.tier !== "CONSENSUS" && log.tier !== "ALL FAILED");
+    const rate = (normalized) => {
+      const group = calls.filter((log) => !!log.normalized === normalized);
+      return { calls: group.length, valid: group.filter((log) => log.valid).length };
+    };
+    return { normalized: rate(true), unchanged: rate(false) };
+  }, [geminiLogs]);
+
+  // Spotify Web API client; it outlives renders and reads the current auth through spotifyAuthRef
+  const spotifyAuthRef = useRef({});
+  const spotify = useMemo(() => createSpotifyClient({
+    getAccessToken: () => spotifyAuthRef.current.accessToken,
+    refreshAccessToken: () => spotifyAuthRef.current.refresh(),
+    onLog: (message) => spotifyAuthRef.current.log(message),
+    onInsufficientScope: () => spotifyAuthRef.current.scopeRefused(),
+  }), []);
+
+  const bpmLookupOptions = {
+    cacheTtlMs: bpmCacheTtlMs,
+    providerConfigs,
+    consensusMode,
+    consensusMinProviders,
+    batchMode,
+    batchSize,
+    sourcePolicy,
+    adaptiveTiers,
+    distinctVersions,
+    spotifyGet: accessToken ? spotify.get : null,
+    providerApiKeys,
+    onRequestAborted: () => setAbortedRequestCount((n) => n + 1)
+  };
+
+  const passesEnergy = (energy) => minEnergy === 0 || energy == null || energy >= minEnergy;
+
+  // Tracks shown in the review step and sent to Spotify, after the confidence/energy filters and chosen order
+  const reviewTracks = useMemo(() => {
+    const filtered = finalTrackSelection.filter((t) =>
+      (minConfidence === 0 || (t.confidence ?? 0) >= minConfidence) &&
+      passesEnergy(t.energy) &&
+      (!groundedOnly || t.provenance?.grounded || t.provenance?.manual || t.provenance?.localAnalysis)
+    );
+    if (reviewOrder === "harmonic") return harmonicOrder(filtered);
+    if (reviewOrder === "energy-up" || reviewOrder === "energy-down") {
+      // Unrated tracks go last either way
+      const dir = reviewOrder === "energy-up" ? 1 : -1;
+      return [...filtered].sort((a, b) => (a.energy == null) - (b.energy == null) || dir * ((a.energy ?? 0) - (b.energy ?? 0)));
+    }
+    return filtered;
+  }, [finalTrackSelection, minConfidence, minEnergy, groundedOnly, reviewOrder]);
+
   // Debug: Watch for changes in geminiLiveStatus
   useEffect(() => {
     console.log('🔄 geminiLiveStatus changed:', geminiLiveStatus);
@@ -685,6 +1091,7 @@ export default function App() {
       abortController.abort();
       setAbortController(null);
       setLoading(false);
+      setScanCancelled(true);
       addLog("🚫 Search cancelled by user");
     }
   };
@@ -713,29 +1120,300 @@ export default function App() {
     localStorage.setItem("gemini_api_key", geminiApiKey);
   }, [clientId, redirectUri, geminiApiKey]);
 
-  // Token refresh if near expiry
+  useEffect(() => geminiRateController.subscribe(setRateState), []);
+  useEffect(() => spotifyThrottle.subscribe(setSpotifyRateState), []);
+  useEffect(() => subscribeUsage(setGeminiUsage), []);
+  useEffect(() => subscribeSourceBreakdown(setSourceBreakdown), []);
+  useEffect(() => subscribeTierStats(setTierStats), []);
+  useEffect(() => subscribeAudioFeaturesStatus((reason) => {
+    setAudioFeaturesOff(reason);
+    if (reason) addLog(`🎚️ ${reason}`);
+  }), []);
+
   useEffect(() => {
-    const now = Math.floor(Date.now() / 1000);
-    if (accessToken && refreshToken && tokenExpiry && tokenExpiry - now < 60) {
-      refreshSpotifyToken().catch(() => {/* noop */});
+    saveSourcePolicy(sourcePolicy);
+  }, [sourcePolicy]);
+
+  useEffect(() => {
+    saveBudget(geminiBudget);
+  }, [geminiBudget]);
+
+  useEffect(() => {
+    localStorage.setItem("bpm_cache_ttl_days", String(bpmCacheTtlDays));
+  }, [bpmCacheTtlDays]);
+
+  useEffect(() => {
+    saveProviderConfigs(providerConfigs);
+  }, [providerConfigs]);
+
+  useEffect(() => {
+    saveProviderApiKeys(providerApiKeys);
+  }, [providerApiKeys]);
+
+  useEffect(() => {
+    localStorage.setItem("bpm_consensus_mode", String(consensusMode));
+    localStorage.setItem("bpm_consensus_min_providers", String(consensusMinProviders));
+  }, [consensusMode, consensusMinProviders]);
+
+  useEffect(() => {
+    localStorage.setItem("bpm_batch_mode", String(batchMode));
+    localStorage.setItem("bpm_batch_size", String(batchSize));
+  }, [batchMode, batchSize]);
+
+  useEffect(() => {
+    localStorage.setItem("bpm_adaptive_tiers", String(adaptiveTiers));
+  }, [adaptiveTiers]);
+
+  useEffect(() => {
+    localStorage.setItem("song_distinct_versions", String(distinctVersions));
+  }, [distinctVersions]);
+
+  const updateProviderConfig = (id, updates) => {
+    setProviderConfigs((configs) => configs.map((c) => (c.id === id ? { ...c, ...updates } : c)));
+  };
+
+  const moveProviderConfig = (index, delta) => {
+    setProviderConfigs((configs) => {
+      const target = index + delta;
+      if (target < 0 || target >= configs.length) return configs;
+      const next = [...configs];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  // Refresh cached track count and the unresolved inbox whenever the debug panel opens or a scan finishes
+  useEffect(() => {
+    if (devOpen || playlistCreationStep === "review") {
+      countCachedBPM().then(setBpmCacheCount);
+      listUnresolved().then(setUnresolvedTracks);
+    }
+  }, [devOpen, playlistCreationStep]);
+
+  // Retry unresolved tracks with the chosen provider (or every configured provider), bypassing batch/consensus
+  async function retryUnresolved(tracks) {
+    const configs = unresolvedProvider === "all"
+      ? providerConfigs.map((c) => ({ ...c, enabled: true }))
+      : providerConfigs.filter((c) => c.id === unresolvedProvider).map((c) => ({ ...c, enabled: true }));
+    if (configs.length === 0 || providerSetupProblem(configs, { geminiApiKey })) return;
+
+    const ids = tracks.map((t) => t.id);
+    setRetryingIds((prev) => [...prev, ...ids]);
+    addLog(`🔁 Retrying ${tracks.length} unresolved ${tracks.length === 1 ? 'track' : 'tracks'} with ${unresolvedProvider === "all" ? 'all providers' : configs[0].name}...`);
+    const options = { ...bpmLookupOptions, providerConfigs: configs, consensusMode: false, batchMode: false };
+    let resolved = 0;
+    for (const track of tracks) {
+      try {
+        const result = await lookupTrackBPM(track, geminiApiKey, addGeminiLog, null, updateGeminiLiveStatus, options);
+        if (result) resolved++;
+      } catch (error) {
+        addLog(`❌ Retry failed for "${track.name}": ${error.message}`);
+        if (error.budgetExceeded) break;
+      }
+    }
+    addLog(`🔁 Retry resolved ${resolved}/${tracks.length} tracks`);
+    setRetryingIds((prev) => prev.filter((id) => !ids.includes(id)));
+    setUnresolvedTracks(await listUnresolved());
+  }
+
+  async function saveManualBpm(track) {
+    const bpm = parseFloat(manualBpmInputs[track.id]);
+    if (!isValidBPM(bpm)) {
+      alert("Enter a BPM greater than 0 and below 300.");
+      return;
+    }
+    try {
+      await putBPMOverride(track.id, { ...trackIdentity(track), bpm });
+      await removeUnresolved(track.id);
+      addLog(`✍️ Saved manual BPM for "${track.name}": ${bpm}`);
+      setManualBpmInputs(({ [track.id]: _, ...rest }) => rest);
+      if (tapTrackId === track.id) setTapTrackId(null);
+      setUnresolvedTracks(await listUnresolved());
+    } catch (error) {
+      addLog(`❌ Failed to save manual BPM: ${error.message}`);
+    }
+  }
+
+  async function handleExportBpmDatabase(format) {
+    try {
+      const rows = await collectExportRows();
+      const content = format === "csv" ? rowsToCSV(rows) : JSON.stringify(rows, null, 2);
+      const blob = new Blob([content], { type: format === "csv" ? "text/csv" : "application/json" });
+      downloadBlob(blob, `sporkify-bpm-${new Date().toISOString().slice(0, 10)}.${format}`);
+      addLog(`📤 Exported ${rows.length} tempos as ${format.toUpperCase()}`);
+    } catch (error) {
+      addLog(`❌ Failed to export BPM database: ${error.message}`);
+    }
+  }
+
+  async function handleImportBpmDatabase(file) {
+    if (!file) return;
+    try {
+      const rows = parseImport(await file.text());
+      const { imported, skipped } = await importRows(rows, importPolicy);
+      addLog(`📥 Imported ${imported} tempos from "${file.name}" (${skipped} kept local value, ${MERGE_POLICIES[importPolicy].toLowerCase()})`);
+      setBpmCacheCount(await countCachedBPM());
+    } catch (error) {
+      addLog(`❌ Failed to import "${file.name}": ${error.message}`);
+    }
+  }
+
+  // Detect the tempo of dropped-in audio files and store it for the Spotify track each one matches
+  async function handleAnalyzeAudioFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    setAnalyzingAudio(true);
+    const candidates = uniq([...unresolvedTracks, ...allPulledTracks].map((t) => t.id))
+      .map((id) => unresolvedTracks.find((t) => t.id === id) || allPulledTracks.find((t) => t.id === id));
+    for (const file of files) {
+      addLog(`🎧 Analyzing "${file.name}"...`);
+      try {
+        const analysis = await analyzeAudioFile(file);
+        if (!analysis.tempo) {
+          addLog(`❌ No steady beat found in "${file.name}"`);
+          setAudioAnalyses((list) => [{ fileName: file.name, error: "no beat found" }, ...list]);
+          continue;
+        }
+        const track = matchTrack({ ...analysis, ...(await readMatchTags(file)) }, candidates);
+        const { bpm, stable, range } = analysis.tempo;
+        if (track) {
+          await putCachedBPM(track.id, { ...localAnalysisRecord(analysis), ...trackIdentity(track) });
+          await removeUnresolved(track.id);
+          addLog(`🎧 "${file.name}": ${bpm} BPM${stable ? '' : ` (drifts ${range[0]}-${range[1]})`} → saved for "${track.name}"`);
+        } else {
+          addLog(`❓ "${file.name}": ${bpm} BPM, but no scanned track matches its ISRC or title/artist/duration`);
+        }
+        setAudioAnalyses((list) => [{ fileName: file.name, bpm, stable, range, trackName: track?.name || null }, ...list]);
+      } catch (error) {
+        addLog(`❌ Failed to analyze "${file.name}": ${error.message}`);
+        setAudioAnalyses((list) => [{ fileName: file.name, error: error.message }, ...list]);
+      }
+    }
+    setUnresolvedTracks(await listUnresolved());
+    setBpmCacheCount(await countCachedBPM());
+    setAnalyzingAudio(false);
+  }
+
+  // Read the tags of a local music folder and use it instead of Spotify as the wizard's source
+  async function handleLoadLocalLibrary(entries, folderName) {
+    if (entries.length === 0) return;
+    setLoadingLibrary({ done: 0, total: entries.length });
+    try {
+      const tracks = await loadLocalLibrary(entries, {
+        fallbackMetadata: metadataFromFileName,
+        onProgress: (done, total) => setLoadingLibrary({ done, total }),
+      });
+      if (tracks.length === 0) {
+        addLog(`❌ No audio files found in "${folderName}"`);
+        return;
+      }
+      const tagged = tracks.filter((t) => t.local.bpm).length;
+      setLocalTracks(tracks);
+      setLocalLibraryName(folderName);
+      setLibrarySource("local");
+      setAllPulledTracks(tracks);
+      addLog(`📁 Loaded ${tracks.length} tracks from "${folderName}" (${tagged} with a BPM tag, the rest are analyzed when scanned)`);
+    } catch (error) {
+      addLog(`❌ Failed to read "${folderName}": ${error.message}`);
+    } finally {
+      setLoadingLibrary(null);
+    }
+  }
+
+  async function pickLocalLibraryDirectory() {
+    try {
+      const handle = await window.showDirectoryPicker();
+      await handleLoadLocalLibrary(await entriesFromDirectoryHandle(handle), handle.name);
+    } catch (error) {
+      if (error.name !== "AbortError") addLog(`❌ Could not open folder: ${error.message}`);
+    }
+  }
+
+  async function handleClearBpmCache() {
+    try {
+      await clearBPMCache();
+      setBpmCacheCount(0);
+      addLog("🗑️ Cleared BPM cache");
+    } catch (e) {
+      addLog(`❌ Failed to clear BPM cache: ${e.message}`);
+    }
+  }
+
+  // Follow the shared session: new tokens from this or another tab, and logouts
+  useEffect(() => subscribeSession((session) => {
+    setAccessToken(session.accessToken);
+    setRefreshToken(session.refreshToken);
+    setTokenExpiry(session.expiresAt);
+    setGrantedScope(session.scope);
+    if (session.endedReason) {
+      // Nothing from the old account stays behind
+      clearPendingAuthorization();
+      setMe(null);
+      setPlaylists([]);
+      setSelectedPlaylistIds([]);
+      setCreatedPlaylistUrl("");
+      setScopeRefused(false);
+      // ...including the tracks scanned from it
+      setCandidates([]);
+      setAllPulledTracks([]);
+      setAllAnalyzedTracks([]);
+      setScannedTracks([]);
+      setTotalScannedDuration(0);
+      setFinalTrackSelection([]);
+      setCurrentSourcePlaylist(null);
+      setScanningPhase("primary");
+      setPlaylistCreationStep("select");
+      const loggedOut = session.endedReason.startsWith("Logged out");
+      setAuthNotice({ color: loggedOut ? "gray" : "red", text: session.endedReason, revokeHint: loggedOut });
+      addLog(`🔑 ${session.endedReason}`);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [accessToken, refreshToken, tokenExpiry]);
+  }), []);
 
-  // Handle auth return with ?code=...
+  // Refresh ahead of expiry; other tabs adopt the result instead of refreshing too
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const code = params.get("code");
-    const state = params.get("state");
-    const storedState = sessionStorage.getItem("spotify_auth_state") || "";
-    if (code && state && state === storedState) {
-      exchangeCodeForToken(code).catch((e) => addLog("Auth error: " + (e?.message || e)));
-      // Clean URL
-      const clean = new URL(window.location.href);
-      clean.search = "";
-      window.history.replaceState({}, document.title, clean.toString());
+    if (!accessToken || !refreshToken || !tokenExpiry) return;
+    const delay = Math.max(0, (tokenExpiry - REFRESH_AHEAD_S) * 1000 - Date.now());
+    const timer = setTimeout(() => {
+      refreshSession(clientId)
+        .then(() => addLog("🔑 Refreshed Spotify token"))
+        .catch((e) => addLog(`❌ Spotify token refresh failed: ${e.message}`));
+    }, delay);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [accessToken, refreshToken, tokenExpiry, clientId]);
+
+  // A session that ended (here or in another tab) stops a running Spotify scan
+  useEffect(() => {
+    if (!accessToken && librarySource === "spotify" && abortController) {
+      abortController.abort();
+      setAbortController(null);
+      setLoading(false);
+      setScanCancelled(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [accessToken]);
+
+  // Handle the return from Spotify: ?code=... or ?error=...
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (!isAuthorizationReturn(params)) return;
+    // Clean URL
+    const clean = new URL(window.location.href);
+    clean.search = "";
+    window.history.replaceState({}, document.title, clean.toString());
+
+    completeAuthorization({ clientId, redirectUri, params })
+      .then(() => {
+        setAuthNotice(null);
+        setScopeRefused(false);
+        addLog("Logged in to Spotify.");
+      })
+      .catch((e) => {
+        setAuthNotice({ color: "red", text: e.message });
+        addLog(`❌ Spotify sign-in failed (${e.authError || "error"}): ${e.message}`);
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   // Auto-load user profile and playlists when we have a token
@@ -755,7 +1433,8 @@ export default function App() {
   }, [me, playlists.length, loading]);
 
   // -------------------- Spotify Auth --------------------
-  async function startSpotifyAuth() {
+  // reconsent: show Spotify's consent screen again to grant scopes added since the last sign-in
+  async function startSpotifyAuth({ reconsent = false } = {}) {
     if (!clientId) {
       alert("Please enter your Spotify Client ID in Settings.");
       return;
@@ -765,138 +1444,24 @@ export default function App() {
     addLog(`Using redirect URI: ${redirectUri}`);
     addLog(`Client ID: ${clientId.substring(0, 8)}...`);
     
-    const verifier = randString(64);
-    const challenge = await createCodeChallenge(verifier);
-    const state = randString(16);
-
-    sessionStorage.setItem("spotify_code_verifier", verifier);
-    sessionStorage.setItem("spotify_auth_state", state);
-
-    const url = new URL("https://accounts.spotify.com/authorize");
-    url.searchParams.set("client_id", clientId);
-    url.searchParams.set("response_type", "code");
-    url.searchParams.set("redirect_uri", redirectUri);
-    url.searchParams.set("scope", SCOPE);
-    url.searchParams.set("state", state);
-    url.searchParams.set("code_challenge_method", "S256");
-    url.searchParams.set("code_challenge", challenge);
-
-    addLog(`Full auth URL: ${url.toString()}`);
-    window.location.href = url.toString();
-  }
-
-  async function exchangeCodeForToken(code) {
-    const verifier = sessionStorage.getItem("spotify_code_verifier") || "";
-    const body = new URLSearchParams({
-      client_id: clientId,
-      grant_type: "authorization_code",
-      code,
-      redirect_uri: redirectUri,
-      code_verifier: verifier,
-    });
-
-    const res = await fetch("https://accounts.spotify.com/api/token", {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    if (!res.ok) throw new Error("Token exchange failed");
-    const data = await res.json();
-
-    const now = Math.floor(Date.now() / 1000);
-    const expiresAt = now + (data.expires_in || 3600) - 30;
-
-    setAccessToken(data.access_token);
-    setRefreshToken(data.refresh_token || refreshToken);
-    setTokenExpiry(expiresAt);
-
-    localStorage.setItem("spotify_access_token", data.access_token);
-    if (data.refresh_token) localStorage.setItem("spotify_refresh_token", data.refresh_token);
-    localStorage.setItem("spotify_token_expiry", String(expiresAt));
-
-    addLog("Logged in to Spotify.");
-    await loadMe();
+    const url = await buildAuthorizeUrl({ clientId, redirectUri, reconsent });
+    addLog(`Full auth URL: ${url}`);
+    window.location.href = url;
   }
 
-  async function refreshSpotifyToken() {
-    const body = new URLSearchParams({
-      client_id: clientId,
-      grant_type: "refresh_token",
-      refresh_token: refreshToken,
-    });
-    const res = await fetch("https://accounts.spotify.com/api/token", {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    if (!res.ok) throw new Error("Refresh failed");
-    const data = await res.json();
-    const now = Math.floor(Date.now() / 1000);
-    const expiresAt = now + (data.expires_in || 3600) - 30;
-
-    setAccessToken(data.access_token);
-    setTokenExpiry(expiresAt);
-    localStorage.setItem("spotify_access_token", data.access_token);
-    localStorage.setItem("spotify_token_expiry", String(expiresAt));
-    addLog("Refreshed Spotify token.");
+  // Single-flight and shared with the other tabs (see spotifySession.js)
+  function refreshSpotifyToken(failedToken) {
+    return refreshSession(clientId, failedToken);
   }
 
   // -------------------- Spotify API helpers --------------------
-  async function spGet(path, params = {}) {
-    const url = new URL(`https://api.spotify.com/v1/${path}`);
-    Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
-    
-    try {
-      const res = await fetch(url.toString(), { headers: { Authorization: `Bearer ${accessToken}` } });
-      
-      if (res.status === 401) {
-        addLog("🔑 Token expired, refreshing...");
-        await refreshSpotifyToken();
-        return spGet(path, params);
-      }
-      
-      if (res.status === 429) {
-        const retryAfter = parseInt(res.headers.get('Retry-After') || '5'); // Default to 5 seconds if no header
-        addLog("⏱️ Rate limited, waiting " + retryAfter + " seconds...");
-        await sleep(retryAfter * 1000);
-        // Add extra buffer time after rate limit
-        await sleep(2000); // Extra 2 seconds buffer
-        return spGet(path, params);
-      }
-      
-      if (!res.ok) {
-        const errorText = await res.text();
-        throw new Error(`GET ${path} failed (${res.status}): ${errorText}`);
-      }
-      
-      return res.json();
-    } catch (error) {
-      addLog(`🚨 API Error on ${path}: ${error.message}`);
-      throw error;
-    }
-  }
-
-  async function spPost(path, body) {
-    const res = await fetch(`https://api.spotify.com/v1/${path}`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(body),
-    });
-    if (res.status === 401) {
-      await refreshSpotifyToken();
-      return spPost(path, body);
-    }
-    if (!res.ok) throw new Error(`POST ${path} failed`);
-    return res.json();
-  }
+  // Latest token, refresh function and logger for the Spotify client (see spotifyClient.js)
+  spotifyAuthRef.current = { accessToken, refresh: refreshSpotifyToken, log: addLog, scopeRefused: () => setScopeRefused(true) };
 
   async function loadMe() {
     if (!accessToken) return;
     try {
-      const data = await spGet("me");
+      const data = await spotify.get("me");
       setMe(data);
       addLog("✅ User profile loaded successfully");
     } catch (error) {
@@ -905,13 +1470,7 @@ export default function App() {
       
       // If it's a 401 error, the token is invalid
       if (error.message.includes('401')) {
-        addLog("🔑 Token appears invalid, please log in again");
-        setAccessToken("");
-        setRefreshToken("");
-        setTokenExpiry(0);
-        localStorage.removeItem("spotify_access_token");
-        localStorage.removeItem("spotify_refresh_token");
-        localStorage.removeItem("spotify_token_expiry");
+        endSession("Token appears invalid, please log in again");
       }
     }
 
@@ -931,7 +1490,7 @@ export default function App() {
         requestCount++;
         addLog(`📋 Loading playlists batch ${requestCount}... (${out.length}/${maxPlaylists})`);
         
-        const page = await spGet(url, { limit: 50, offset: out.length }); // Default Spotify limit
+        const page = await spotify.get(url, { limit: 50, offset: out.length }); // Default Spotify limit
         out.push(...page.items);
         next = page.items.length === 50 && out.length < maxPlaylists; // Fixed: should check for 50, not 20
         await sleep(500); // 500ms between each request
@@ -963,7 +1522,7 @@ export default function App() {
       let offset = 0;
       let more = true;
       while (more) {
-        const page = await spGet(`playlists/${pid}/tracks`, { limit: 10, offset }); // Ultra-small batches
+        const page = await spotify.get(`playlists/${pid}/tracks`, { limit: 10, offset }); // Ultra-small batches
         trackItems.push(
           ...page.items
             .filter((it) => it && it.track && it.track.id && !it.is_local)
@@ -994,7 +1553,7 @@ export default function App() {
       requestCount++;
       addLog(`💾 Loading saved tracks batch ${requestCount}...`);
       
-      const page = await spGet("me/tracks", { limit: 10, offset }); // Ultra-small batches
+      const page = await spotify.get("me/tracks", { limit: 10, offset }); // Ultra-small batches
       items.push(...page.items.map((it) => it.track).filter((t) => t && t.id && !t.is_local));
       more = page.items.length === 10;
       offset += 10;
@@ -1005,8 +1564,8 @@ export default function App() {
 
   async function loadCandidates() {
     if (!accessToken) return;
-    if (!geminiApiKey) {
-      alert("Please enter your Google Gemini API key in Settings first.");
+    if (bpmSetupProblem) {
+      alert(`${bpmSetupProblem}.`);
       return;
     }
     
@@ -1021,6 +1580,10 @@ export default function App() {
     setAllAnalyzedTracks([]);
     setGeminiLogs([]); // Clear previous Gemini logs
     setGeminiLiveStatus({}); // Clear previous live status
+    setScanCancelled(false);
+    setAbortedRequestCount(0);
+    setBudgetStopReason(null);
+    startScanUsage();
 
     try {
       const sources = [];
@@ -1038,13 +1601,17 @@ export default function App() {
         addLog(`Playlist tracks loaded: ${tracks.length}`);
       }
 
-      // Dedupe by track id
-      const uniqueTracks = Object.values(
-        sources.reduce((acc, t) => {
-          acc[t.id] = t;
-          return acc;
-        }, {})
+      // Dedupe by track id, then by song so other releases of the same recording aren't analyzed again
+      const { unique: uniqueTracks, duplicates } = dedupeSongs(
+        Object.values(
+          sources.reduce((acc, t) => {
+            acc[t.id] = t;
+            return acc;
+          }, {})
+        ),
+        { distinctVersions }
       );
+      if (duplicates.length > 0) addLog(`🔗 Skipped ${duplicates.length} other releases of songs already in the list`);
       addLog(`Unique tracks to analyze: ${uniqueTracks.length}`);
       
       // Store all pulled tracks for display
@@ -1059,9 +1626,15 @@ export default function App() {
       addLog(`🤖 Analyzing tempo with Google Gemini for ${uniqueTracks.length} tracks...`);
       addLog(`⏳ This may take a few minutes for large collections...`);
       
-      const tempos = await fetchTemposForTracksWithGemini(uniqueTracks, geminiApiKey, addGeminiLog, controller.signal, updateGeminiLiveStatus);
+      const tempoResults = await fetchTemposForTracksWithGemini(uniqueTracks, geminiApiKey, addGeminiLog, controller.signal, updateGeminiLiveStatus, bpmLookupOptions);
+      const tempos = Object.fromEntries(Object.entries(tempoResults).map(([id, r]) => [id, r.bpm]));
       
       addLog(`✅ Retrieved tempo data for ${Object.keys(tempos).length} tracks via Gemini AI`);
+      const budgetReason = budgetExceededReason();
+      if (budgetReason) {
+        setBudgetStopReason(budgetReason);
+        addLog(`💸 Gemini budget reached (${budgetReason}) - showing the tracks analyzed so far`);
+      }
 
       // Create tracks with tempo data
       const withTempo = uniqueTracks
@@ -1072,6 +1645,10 @@ export default function App() {
           name: t.name,
           artists: (t.artists || []).map((a) => a.name),
           tempo: tempos[t.id],
+          confidence: tempoResults[t.id]?.confidence ?? null,
+          camelot: tempoResults[t.id]?.camelot ?? null,
+          energy: tempoResults[t.id]?.energy ?? null,
+          provenance: provenanceOf(tempoResults[t.id]),
         }));
 
       // Filter by BPM range and sort
@@ -1122,7 +1699,14 @@ export default function App() {
     }
   }
 
-  // -------------------- Progressive Duration-Based Playlist Creation --------------------
+  // -------------------- Progressive Duration-Based Playlist Creation --------------------
+  // One entry per song in the final selection: a single and its album release can both match the range
+  const uniqueSongs = (tracks) => {
+    const { unique, duplicates } = dedupeSongs(tracks, { distinctVersions });
+    duplicates.forEach(({ track, duplicateOf }) => addLog(`🔗 Dropped "${track.name}" (${track.sourcePlaylist || "unknown source"}): same song as "${duplicateOf.name}"`));
+    return unique;
+  };
+
   async function findMatchingSongs() {
     // Basic validation checks
     if (!me) {
@@ -1131,9 +1715,9 @@ export default function App() {
       return;
     }
     
-    if (!geminiApiKey) {
-      alert("Please enter your Google Gemini API key in Settings first.");
-      addLog("❌ Attempted to find songs without Gemini API key");
+    if (bpmSetupProblem) {
+      alert(`${bpmSetupProblem}.`);
+      addLog(`❌ Attempted to find songs before BPM providers were set up: ${bpmSetupProblem}`);
       return;
     }
 
@@ -1146,6 +1730,7 @@ export default function App() {
     addLog(`🚀 Starting song search for ${selectedDuration}-minute playlist...`);
     addLog(`🎵 Target BPM range: ${minTempo}-${maxTempo}`);
     addLog(`📋 Playlist order: ${playlistOrder}`);
+    if (minEnergy > 0) addLog(`⚡ Skipping tracks with energy below ${minEnergy}/10`);
     
     // Create abort controller for cancelling requests
     const controller = new AbortController();
@@ -1160,6 +1745,10 @@ export default function App() {
     setFinalTrackSelection([]);
     setCurrentSourcePlaylist(null);
     setScanningPhase("primary");
+    setScanCancelled(false);
+    setAbortedRequestCount(0);
+    setBudgetStopReason(null);
+    startScanUsage();
     
     // Start the async process in the background
     (async () => {
@@ -1201,21 +1790,24 @@ export default function App() {
         let selectedTracks = [];
         let allTracks = [];
         const seenTrackIds = new Set();
+        const seenSongs = createSongIndex({ distinctVersions }); // Other releases of a song are skipped
         let processedPlaylistCount = 0;
         let firstPlaylistLoaded = false; // Flag to track first successful API response
         let hasRequestedMorePlaylists = false; // Flag to track if we've already requested more playlists
+        let budgetExhausted = false; // Stop scanning once the Gemini budget is spent
       
       // Function to process a single track for BPM and add to selected tracks if it matches
-      const processTrackForSelection = async (track, bpm) => {
+      const processTrackForSelection = async (track, result) => {
         if (currentDurationMs >= targetDurationMs) return false; // Stop if target reached
         
+        const bpm = result?.bpm;
         if (bpm !== null && bpm !== undefined) {
           // Check if BPM is in range (including half-time and double-time)
           const originalInRange = bpm >= minTempo && bpm <= maxTempo;
           const halfTimeInRange = (bpm / 2) >= minTempo && (bpm / 2) <= maxTempo;
           const doubleTimeInRange = (bpm * 2) >= minTempo && (bpm * 2) <= maxTempo;
           
-          if (originalInRange || halfTimeInRange || doubleTimeInRange) {
+          if ((originalInRange || halfTimeInRange || doubleTimeInRange) && passesEnergy(result.energy)) {
             // Determine display tempo and type
             let displayTempo = bpm;
             let tempoType = "original";
@@ -1235,7 +1827,11 @@ export default function App() {
               ...track,
               tempo: displayTempo,
               originalTempo: bpm,
-              tempoType: tempoType
+              tempoType: tempoType,
+              confidence: result.confidence ?? null,
+              camelot: result.camelot ?? null,
+              energy: result.energy ?? null,
+              provenance: provenanceOf(result)
             };
             
             selectedTracks.push(trackWithTempo);
@@ -1256,23 +1852,29 @@ export default function App() {
       
       // Function to process individual tracks immediately as they're loaded
       const processTrackImmediately = async (track) => {
-        if (currentDurationMs >= targetDurationMs) return;
+        if (currentDurationMs >= targetDurationMs || budgetExhausted) return;
         
         try {
           // Process single track immediately
-          const bpm = await getTrackBPMWithGemini(
-            track.name, 
-            track.artists?.[0]?.name || 'Unknown Artist', 
+          const result = await lookupTrackBPM(
+            track,
             geminiApiKey, 
             addGeminiLog, 
             controller.signal, 
-            updateGeminiLiveStatus
+            updateGeminiLiveStatus,
+            bpmLookupOptions
           );
           
           // Add to selection immediately if it matches
-          await processTrackForSelection(track, bpm);
+          await processTrackForSelection(track, result);
         } catch (error) {
-          if (!error.message.includes('cancelled')) {
+          if (error.budgetExceeded) {
+            if (!budgetExhausted) {
+              budgetExhausted = true;
+              setBudgetStopReason(budgetExceededReason());
+              addLog(`💸 ${error.message} - finishing with the tracks found so far`);
+            }
+          } else if (!error.message.includes('cancelled')) {
             addLog(`❌ BPM analysis error for "${track.name}": ${error.message}`);
           }
         }
@@ -1280,6 +1882,14 @@ export default function App() {
       
       // Process playlists in batches
       for (let batchStart = 0; batchStart < sortedPlaylists.length; batchStart += playlistBatchSize) {
+        if (controller.signal.aborted) {
+          addLog(`🚫 Scan cancelled - stopping playlist processing.`);
+          break;
+        }
+        if (budgetExhausted) {
+          addLog(`💸 Gemini budget spent - stopping playlist processing.`);
+          break;
+        }
         if (currentDurationMs >= targetDurationMs) {
           addLog(`🎯 Target duration reached! Stopping playlist processing.`);
           break;
@@ -1301,10 +1911,10 @@ export default function App() {
             let hasMore = true;
             
             while (hasMore) {
-              const playlistTracksResp = await spGet(`playlists/${playlist.id}/tracks`, { 
+              const playlistTracksResp = await spotify.get(`playlists/${playlist.id}/tracks`, { 
                 limit: 100, 
                 offset: offset 
-              });
+              }, { signal: controller.signal });
               
               const tracks = (playlistTracksResp.items || [])
                 .filter(item => item && item.track && item.track.id && !item.is_local)
@@ -1321,6 +1931,12 @@ export default function App() {
               // Fire off ALL tracks concurrently - no sequential processing!
               newTracks.forEach(track => {
                 seenTrackIds.add(track.id);
+                const sameSong = seenSongs.find(track);
+                if (sameSong) {
+                  console.log(`🔗 Skipping "${track.name}" from "${playlist.name}": same song as "${sameSong.name}" from "${sameSong.sourcePlaylist}"`);
+                  return;
+                }
+                seenSongs.add(track);
                 allTracks.push(track);
                 
                 // Start individual BPM analysis immediately (fire and forget - fully concurrent)
@@ -1351,7 +1967,7 @@ export default function App() {
               tracks: allPlaylistTracks
             };
           } catch (error) {
-            addLog(`❌ Failed to load tracks from "${playlist.name}": ${error.message}`);
+            if (!controller.signal.aborted) addLog(`❌ Failed to load tracks from "${playlist.name}": ${error.message}`);
             return {
               playlist,
               tracks: []
@@ -1395,8 +2011,10 @@ export default function App() {
       }
       
       // Wait a bit for any remaining BPM analysis to complete
-      addLog(`⏳ Waiting for any remaining BPM analysis to complete...`);
-      await sleep(2000); // Give 2 seconds for final analyses to complete
+      if (!controller.signal.aborted && !budgetExhausted) {
+        addLog(`⏳ Waiting for any remaining BPM analysis to complete...`);
+        await sleep(2000); // Give 2 seconds for final analyses to complete
+      }
       
       addLog(`🎵 Final result: ${selectedTracks.length} tracks selected from ${allTracks.length} total tracks across ${processedPlaylistCount} playlists`);
       
@@ -1410,7 +2028,7 @@ export default function App() {
         addLog(`⚠️ Scanned all ${sortedPlaylists.length} playlists: Found ${achievedMinutes}/${selectedDuration} minutes of matching music.`);
         
         // Only use saved tracks as final fallback if we still don't have enough
-        if (includeSaved) {
+        if (includeSaved && !controller.signal.aborted && !budgetExhausted) {
           addLog(`🔄 Using saved tracks as final fallback to fill remaining time...`);
           setScanningPhase("secondary");
           
@@ -1423,13 +2041,13 @@ export default function App() {
           
           const saved = await getAllSavedTracks();
           const existingTrackIds = new Set(selectedTracks.map(t => t.id));
-          const uniqueSavedTracks = saved.filter(track => !existingTrackIds.has(track.id));
+          const uniqueSavedTracks = saved.filter(track => !existingTrackIds.has(track.id) && !seenSongs.find(track));
           
           addLog(`🔍 Scanning ${uniqueSavedTracks.length} saved tracks to fill remaining ${selectedDuration - achievedMinutes} minutes...`);
           
           // Process saved tracks concurrently
           addLog(`🚀 Processing ${uniqueSavedTracks.length} saved tracks concurrently...`);
-          const savedTempos = await fetchTemposForTracksWithGemini(uniqueSavedTracks, geminiApiKey, addGeminiLog, controller.signal, updateGeminiLiveStatus);
+          const savedTempos = await fetchTemposForTracksWithGemini(uniqueSavedTracks, geminiApiKey, addGeminiLog, controller.signal, updateGeminiLiveStatus, bpmLookupOptions);
           
           // Process results and add matching tracks
           for (const track of uniqueSavedTracks) {
@@ -1438,13 +2056,14 @@ export default function App() {
               break;
             }
             
-            const bpm = savedTempos[track.id];
+            const result = savedTempos[track.id];
+            const bpm = result?.bpm;
             if (bpm !== null && bpm !== undefined) {
               const originalInRange = bpm >= minTempo && bpm <= maxTempo;
               const halfTimeInRange = (bpm / 2) >= minTempo && (bpm / 2) <= maxTempo;
               const doubleTimeInRange = (bpm * 2) >= minTempo && (bpm * 2) <= maxTempo;
               
-              if (originalInRange || halfTimeInRange || doubleTimeInRange) {
+              if ((originalInRange || halfTimeInRange || doubleTimeInRange) && passesEnergy(result.energy)) {
                 let displayTempo = bpm;
                 let tempoType = "original";
                 
@@ -1464,6 +2083,10 @@ export default function App() {
                   tempo: displayTempo,
                   originalTempo: bpm,
                   tempoType: tempoType,
+                  confidence: result.confidence ?? null,
+                  camelot: result.camelot ?? null,
+                  energy: result.energy ?? null,
+                  provenance: provenanceOf(result),
                   sourcePlaylist: "Saved Tracks"
                 };
                 
@@ -1505,7 +2128,7 @@ export default function App() {
         
         setScanningPhase("complete");
         setCurrentSourcePlaylist(null);
-        setFinalTrackSelection(selectedTracks);
+        setFinalTrackSelection(uniqueSongs(selectedTracks));
         setPlaylistCreationStep("review");
       } else {
         addLog(`❌ No matching tracks found in any playlist. Try adjusting your BPM range or ensure you have music in your playlists.`);
@@ -1532,18 +2155,19 @@ export default function App() {
 
   // Auto-trigger song search when entering final page (index 4) if in initial 'select' step
   useEffect(() => {
-    if (currentPage === 4 && playlistCreationStep === 'select' && !loading) {
+    if (currentPage === 4 && playlistCreationStep === 'select' && !loading && !scanCancelled) {
       // Prevent duplicate auto triggers: basic guard by checking scannedTracks length
       const safeToStart = scannedTracks.length === 0;
       if (safeToStart) {
-        findMatchingSongs();
+        if (librarySource === "local") findMatchingLocalSongs();
+        else findMatchingSongs();
       }
     }
-  }, [currentPage, playlistCreationStep, loading, scannedTracks]);
+  }, [currentPage, playlistCreationStep, loading, scannedTracks, scanCancelled]);
 
   // Create playlist from reviewed tracks
   async function createPlaylistFromSelection() {
-    if (!me || finalTrackSelection.length === 0) {
+    if (!me || reviewTracks.length === 0) {
       return;
     }
     
@@ -1551,26 +2175,26 @@ export default function App() {
     setPlaylistCreationStep("creating");
     
     try {
-      const finalDuration = Math.round(finalTrackSelection.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000);
+      const finalDuration = Math.round(reviewTracks.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000);
       const name = newPlaylistName || `Smart ${finalDuration}min Mix (${minTempo}-${maxTempo} BPM)`;
       
-      addLog(`🎵 Creating playlist "${name}" with ${finalTrackSelection.length} tracks...`);
+      addLog(`🎵 Creating playlist "${name}" with ${reviewTracks.length} tracks...`);
       
-      const pl = await spPost(`users/${me.id}/playlists`, {
+      const pl = await spotify.post(`users/${me.id}/playlists`, {
         name,
         description: `Smart tempo playlist: ${minTempo}-${maxTempo} BPM, ${finalDuration} minutes. Created from most recent additions.`,
         public: false,
       });
       
       // Add tracks to playlist in chunks
-      const uris = finalTrackSelection.map(t => t.uri);
+      const uris = reviewTracks.map(t => t.uri);
       for (const uriChunk of chunk(uris, 100)) {
-        await spPost(`playlists/${pl.id}/tracks`, { uris: uriChunk });
+        await spotify.post(`playlists/${pl.id}/tracks`, { uris: uriChunk });
         await sleep(100);
       }
       
       setCreatedPlaylistUrl(pl.external_urls?.spotify || "");
-      addLog(`🎉 Successfully created playlist "${name}" with ${finalTrackSelection.length} tracks (${finalDuration} minutes)!`);
+      addLog(`🎉 Successfully created playlist "${name}" with ${reviewTracks.length} tracks (${finalDuration} minutes)!`);
       setPlaylistCreationStep("complete");
       
     } catch (error) {
@@ -1582,6 +2206,144 @@ export default function App() {
     }
   }
 
+  // -------------------- Local library: scan a folder and save a playlist file --------------------
+
+  // Stored value first (override, or an earlier analysis / Spotify lookup with the same ISRC),
+  // then the file's BPM tag, then the audio itself - analyzed once and cached for good
+  async function localTrackBPM(track, abortSignal) {
+    const stored = await getStoredBPM(track, bpmCacheTtlMs, distinctVersions);
+    if (stored) return stored;
+    if (track.local.bpm) return tagBPMRecord(track);
+    addLog(`🎧 No BPM tag on "${track.local.path}", analyzing the audio...`);
+    const analysis = await analyzeAudioFile(track.local.file, { abortSignal });
+    if (!analysis.tempo) {
+      addLog(`❓ No steady beat found in "${track.local.path}"`);
+      return null;
+    }
+    const record = { ...localAnalysisRecord(analysis), key: track.local.key, camelot: toCamelot(track.local.key) };
+    await putCachedBPM(track.id, { ...record, ...trackIdentity(track) });
+    return record;
+  }
+
+  // Same selection as findMatchingSongs, over the files of the local folder
+  async function findMatchingLocalSongs() {
+    if (localTracks.length === 0) {
+      addLog("❌ Attempted to find songs without a local folder loaded");
+      return;
+    }
+
+    addLog(`🚀 Starting song search for ${selectedDuration}-minute playlist in "${localLibraryName}"...`);
+    addLog(`🎵 Target BPM range: ${minTempo}-${maxTempo}`);
+    addLog(`📋 Playlist order: ${playlistOrder}`);
+    if (minEnergy > 0) addLog(`⚡ Skipping tracks with energy below ${minEnergy}/10`);
+
+    const controller = new AbortController();
+    setAbortController(controller);
+    setCreatedPlaylistUrl("");
+    setPlaylistCreationStep("scanning");
+    setScannedTracks([]);
+    setTotalScannedDuration(0);
+    setFinalTrackSelection([]);
+    setCurrentSourcePlaylist(null);
+    setScanningPhase("primary");
+    setScanCancelled(false);
+    setAbortedRequestCount(0);
+    setBudgetStopReason(null);
+    startScanUsage();
+
+    (async () => {
+      // "Recent" means most recently modified files first; copies of a song in other folders are skipped
+      const { unique: ordered, duplicates } = dedupeSongs(
+        playlistOrder === "random"
+          ? [...localTracks].sort(() => Math.random() - 0.5)
+          : [...localTracks].sort((a, b) => new Date(b.added_at) - new Date(a.added_at)),
+        { distinctVersions }
+      );
+      if (duplicates.length > 0) addLog(`🔗 Skipping ${duplicates.length} files that are copies of songs already in the folder`);
+      const targetDurationMs = selectedDuration * 60 * 1000;
+      let currentDurationMs = 0;
+      const selectedTracks = [];
+
+      try {
+        for (const [index, track] of ordered.entries()) {
+          if (controller.signal.aborted) {
+            addLog(`🚫 Scan cancelled - stopping local scan.`);
+            break;
+          }
+          if (currentDurationMs >= targetDurationMs) break;
+          setCurrentSourcePlaylist({
+            name: localLibraryName,
+            trackCount: localTracks.length,
+            details: `${index + 1}/${ordered.length}: ${track.local.path}`
+          });
+
+          let result;
+          try {
+            result = await localTrackBPM(track, controller.signal);
+          } catch (error) {
+            if (controller.signal.aborted) {
+              addLog(`🚫 Scan cancelled - stopping local scan.`);
+              break;
+            }
+            addLog(`❌ BPM analysis error for "${track.local.path}": ${error.message}`);
+            continue;
+          }
+          const fit = result && tempoInRange(result.bpm, [minTempo, maxTempo]);
+          if (!fit || !passesEnergy(result.energy)) continue;
+
+          selectedTracks.push({
+            ...track,
+            tempo: fit.tempo,
+            originalTempo: result.bpm,
+            tempoType: fit.tempoType,
+            confidence: result.confidence ?? null,
+            camelot: result.camelot ?? null,
+            energy: result.energy ?? null,
+            provenance: provenanceOf(result)
+          });
+          currentDurationMs += track.duration_ms || 0;
+          addLog(`✅ Added "${track.name}" from "${track.sourcePlaylist}" (${fit.tempo.toFixed(1)} BPM ${fit.tempoType}) - ${Math.round(currentDurationMs / 60000)}/${selectedDuration} min`);
+          setScannedTracks([...selectedTracks]);
+          setTotalScannedDuration(currentDurationMs / 60000);
+        }
+
+        setScanningPhase("complete");
+        setCurrentSourcePlaylist(null);
+        if (selectedTracks.length > 0) {
+          const finalDuration = Math.round(currentDurationMs / 60000);
+          addLog(`🎵 Found ${selectedTracks.length} matching tracks (${finalDuration} minutes) in "${localLibraryName}" - ready for review!`);
+          if (finalDuration < selectedDuration) {
+            addLog(`📊 Note: Found ${finalDuration}/${selectedDuration} minutes - scanned the whole folder.`);
+          }
+          setFinalTrackSelection(uniqueSongs(selectedTracks));
+          setPlaylistCreationStep("review");
+        } else {
+          addLog(`❌ No matching tracks found in "${localLibraryName}". Try adjusting your BPM range.`);
+          setPlaylistCreationStep("select");
+        }
+      } catch (error) {
+        console.error("Error finding matching local songs:", error);
+        addLog(`❌ Error finding songs: ${error.message}`);
+        setScanningPhase("complete");
+        setCurrentSourcePlaylist(null);
+        setPlaylistCreationStep("select");
+      } finally {
+        setAbortController(null);
+      }
+    })();
+  }
+
+  // Download the reviewed tracks as a playlist file of paths relative to the library folder
+  function downloadLocalPlaylist(format) {
+    if (reviewTracks.length === 0) return;
+    const { label, mimeType, render } = PLAYLIST_FORMATS[format];
+    const finalDuration = Math.round(reviewTracks.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000);
+    const name = newPlaylistName || `Smart ${finalDuration}min Mix (${minTempo}-${maxTempo} BPM)`;
+    downloadBlob(new Blob([render(name, reviewTracks)], { type: mimeType }), `${name.replace(/[\\/:*?"<>|]+/g, "-")}.${format}`);
+    addLog(`💾 Saved "${name}" as ${label} with ${reviewTracks.length} tracks (${finalDuration} minutes) - keep it in "${localLibraryName}" so the paths resolve`);
+    setPlaylistCreationStep("complete");
+  }
+
   // -------------------- Original Create Playlist (kept for backward compatibility) --------------------
   async function createPlaylist() {
     if (!me) {
@@ -1598,7 +2360,7 @@ export default function App() {
         return;
       }
       const playlistId = selectedPlaylistIds[0];
-      const playlistTracksResp = await spGet(`playlists/${playlistId}/tracks?limit=100`);
+      const playlistTracksResp = await spotify.get(`playlists/${playlistId}/tracks?limit=100`);
       let playlistTracks = (playlistTracksResp.items || []).map(item => ({
         ...item.track,
         added_at: item.added_at,
@@ -1620,14 +2382,14 @@ export default function App() {
       if (totalDuration / 60000 >= selectedDuration) {
         // Success: create playlist with these tracks
         const name = newPlaylistName || `Tempo ${minTempo}-${maxTempo} BPM (${selectedDuration} min)`;
-        const pl = await spPost(`users/${me.id}/playlists`, {
+        const pl = await spotify.post(`users/${me.id}/playlists`, {
           name,
           description: `Auto-built by Tempo Builder — ${minTempo}-${maxTempo} BPM, ${selectedDuration} min` ,
           public: false,
         });
         const uris = filledTracks.map((x) => x.uri);
         for (const c of chunk(uris, 100)) {
-          await spPost(`playlists/${pl.id}/tracks`, { uris: c });
+          await spotify.post(`playlists/${pl.id}/tracks`, { uris: c });
           await sleep(50);
         }
         setCreatedPlaylistUrl(pl.external_urls?.spotify || "");
@@ -1649,14 +2411,14 @@ export default function App() {
       if (totalDuration / 60000 >= selectedDuration) {
         // Success: create playlist with these tracks
         const name = newPlaylistName || `Tempo ${minTempo}-${maxTempo} BPM (${selectedDuration} min)`;
-        const pl = await spPost(`users/${me.id}/playlists`, {
+        const pl = await spotify.post(`users/${me.id}/playlists`, {
           name,
           description: `Auto-built by Tempo Builder — ${minTempo}-${maxTempo} BPM, ${selectedDuration} min` ,
           public: false,
         });
         const uris = filledTracks.map((x) => x.uri);
         for (const c of chunk(uris, 100)) {
-          await spPost(`playlists/${pl.id}/tracks`, { uris: c });
+          await spotify.post(`playlists/${pl.id}/tracks`, { uris: c });
           await sleep(50);
         }
         setCreatedPlaylistUrl(pl.external_urls?.spotify || "");
@@ -1731,15 +2493,7 @@ export default function App() {
       },
     },
   }}
-  onClick={() => {
-    localStorage.removeItem("spotify_access_token");
-    localStorage.removeItem("spotify_refresh_token");
-    localStorage.removeItem("spotify_token_expiry");
-    setAccessToken("");
-    setRefreshToken("");
-    setTokenExpiry(0);
-    setMe(null);
-  }}
+  onClick={() => endSession("Logged out")}
 >
   Logout
 </Button>
@@ -1756,7 +2510,7 @@ export default function App() {
                   maxWidth: '40vw',
                   boxShadow: 'none',
                 }}
-                onClick={startSpotifyAuth}
+                onClick={() => startSpotifyAuth()}
                 p="sm"
                 withBorder={false}
                 className="hover:bg-[var(--mantine-color-gray-1)]"
@@ -1797,7 +2551,16 @@ export default function App() {
 
                 {!isAuthed ? (
                   <Stack gap="md" align="center">
-                    
+                    {authNotice && (
+                      <Alert color={authNotice.color} variant="light" withCloseButton onClose={() => setAuthNotice(null)} maw={420}>
+                        <Text size="sm">🔑 {authNotice.text}</Text>
+                        {authNotice.revokeHint && (
+                          <Text size="sm" mt="xs">
+                            This browser no longer holds any Spotify tokens. To withdraw Sporkify's permissions on Spotify's side too, remove it at <Link href="https://www.spotify.com/account/apps/" target="_blank" rel="noreferrer">spotify.com/account/apps</Link> (Spotify offers apps no way to revoke their own access).
+                          </Text>
+                        )}
+                      </Alert>
+                    )}
                     
                     <Card
                       style={{
@@ -1807,7 +2570,7 @@ export default function App() {
                         border: 'none',
                         maxWidth: '300px'
                       }}
-                      onClick={startSpotifyAuth}
+                      onClick={() => startSpotifyAuth()}
                       p="lg"
                       withBorder={false}
                       className="hover:bg-[var(--mantine-color-gray-1)]"
@@ -1842,6 +2605,17 @@ export default function App() {
                     <Text size="lg" ta="center" c="green">
                       Connected to Spotify!
                     </Text>
+
+                    {(scopeRefused || missingScopes(grantedScope).length > 0) && (
+                      <Alert color="yellow" variant="light" maw={420}>
+                        <Text size="sm">
+                          🔑 Sporkify needs Spotify permissions this sign-in didn't grant{missingScopes(grantedScope).length > 0 ? ` (${missingScopes(grantedScope).join(", ")})` : ""}. Review them to keep loading and saving playlists.
+                        </Text>
+                        <Button mt="xs" size="xs" color="yellow" onClick={() => startSpotifyAuth({ reconsent: true })}>
+                          Review permissions
+                        </Button>
+                      </Alert>
+                    )}
                     
                     <Group gap="md">
                       <Text size="md">
@@ -1862,6 +2636,62 @@ export default function App() {
                     </Button>
                   </Stack>
                 )}
+
+                {/* Local library: a folder of audio files instead of Spotify */}
+                <Divider my="lg" label="or use your own music files" labelPosition="center" />
+                <Stack gap="sm" align="center">
+                  {librarySource === "local" ? (
+                    <>
+                      <Text size="md" ta="center">
+                        📁 <strong>{localLibraryName}</strong>: {localTracks.length} tracks, {localTracks.filter((t) => t.local.bpm).length} with a BPM tag
+                      </Text>
+                      <Text size="sm" ta="center" c="dimmed">
+                        Untagged files are analyzed in the browser while scanning. The playlist is saved as an M3U8 or XSPF file.
+                      </Text>
+                      <Group gap="sm">
+                        <Button color="brand" size="lg" onClick={() => setCurrentPage(1)}>
+                          Continue to Tempo →
+                        </Button>
+                        {isAuthed && (
+                          <Button variant="outline" size="lg" onClick={() => setLibrarySource("spotify")}>
+                            Use Spotify instead
+                          </Button>
+                        )}
+                      </Group>
+                    </>
+                  ) : (
+                    <Text size="sm" ta="center" c="dimmed">
+                      Pick a folder of MP3, FLAC or Ogg files. Title, artist and BPM come from their tags.
+                    </Text>
+                  )}
+                  <Group gap="sm">
+                    <Button component="label" variant="light" disabled={!!loadingLibrary}>
+                      Choose folder
+                      <input
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        hidden
+                        onChange={(e) => {
+                          const files = Array.from(e.target.files || []);
+                          handleLoadLocalLibrary(entriesFromFileList(files), files[0]?.webkitRelativePath.split("/")[0] || "Local files");
+                          e.target.value = "";
+                        }}
+                      />
+                    </Button>
+                    {typeof window.showDirectoryPicker === "function" && (
+                      <Button variant="subtle" disabled={!!loadingLibrary} onClick={pickLocalLibraryDirectory}>
+                        Open with folder picker
+                      </Button>
+                    )}
+                  </Group>
+                  {loadingLibrary && (
+                    <Group gap="xs">
+                      <Spinner size="xs" />
+                      <Text size="sm" c="dimmed">Reading tags... {loadingLibrary.done}/{loadingLibrary.total}</Text>
+                    </Group>
+                  )}
+                </Stack>
               </Card>
             </div>
 
@@ -2141,6 +2971,14 @@ export default function App() {
                       </Text>
                     </Card>
                   ))}
+                  <Select
+                    label="Energy"
+                    size="sm"
+                    value={String(minEnergy)}
+                    onChange={(value) => setMinEnergy(parseInt(value || "0", 10))}
+                    data={ENERGY_FILTER_OPTIONS}
+                    allowDeselect={false}
+                  />
                 </Stack>
               </Card>
             </div>
@@ -2151,14 +2989,30 @@ export default function App() {
                 <Stack gap="md">
            
             
+            {scanCancelled && (playlistCreationStep === "select" || playlistCreationStep === "review" || playlistCreationStep === "scanning") && (
+              <Alert color="red" variant="light">
+                <Text size="sm">
+                  🚫 Search cancelled — {abortedRequestCount} in-flight Gemini {abortedRequestCount === 1 ? 'request' : 'requests'} aborted.
+                </Text>
+              </Alert>
+            )}
+
+            {budgetStopReason && (playlistCreationStep === "select" || playlistCreationStep === "review") && (
+              <Alert color="yellow" variant="light">
+                <Text size="sm">
+                  💸 Gemini budget reached ({budgetStopReason}) — the scan stopped early{playlistCreationStep === "review" ? ' and these are the tracks found so far' : ''}. Raise the budget in Settings to scan further.
+                </Text>
+              </Alert>
+            )}
+
             {playlistCreationStep === "select" && (
               <div className="space-y-4">
                 <div className="flex gap-3">
                   <Button 
                     size="lg"
                     color="brand"
-                    disabled={!isAuthed || !geminiApiKey || playlists.length === 0}
-                    onClick={findMatchingSongs}
+                    disabled={librarySource === "local" ? localTracks.length === 0 : !isAuthed || !!bpmSetupProblem || playlists.length === 0}
+                    onClick={librarySource === "local" ? findMatchingLocalSongs : findMatchingSongs}
                     loading={loading}
                     style={{ flex: 1 }}
                   >
@@ -2190,6 +3044,17 @@ export default function App() {
                   <div className="text-sm text-default-500 mt-1">
                     Making a {selectedDuration}-minute playlist from your most recent additions
                   </div>
+                  {abortController && (
+                    <Button 
+                      size="xs"
+                      variant="outline"
+                      color="red"
+                      mt="sm"
+                      onClick={cancelSearch}
+                    >
+                      Cancel
+                    </Button>
+                  )}
                 </div>
                 
                 {/* Current Source Display */}
@@ -2280,10 +3145,138 @@ export default function App() {
                 <div className="text-center">
                   <div className="text-lg font-medium text-success-600">🎵 Found Your Songs!</div>
                   <div className="text-sm text-default-500 mt-1">
-                    {finalTrackSelection.length} tracks • {Math.round(finalTrackSelection.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000)} minutes
+                    {reviewTracks.length} tracks • {Math.round(reviewTracks.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000)} minutes
+                    {reviewTracks.length < finalTrackSelection.length && ` (${finalTrackSelection.length - reviewTracks.length} hidden by filters)`}
                   </div>
                 </div>
                 
+                <Group justify="space-between" align="flex-end">
+                  <Select
+                    label="Minimum BPM confidence"
+                    size="sm"
+                    value={String(minConfidence)}
+                    onChange={(value) => setMinConfidence(parseFloat(value || "0"))}
+                    data={[
+                      { value: "0", label: "Any" },
+                      { value: "0.5", label: "≥ 0.5" },
+                      { value: "0.7", label: "≥ 0.7" },
+                      { value: "0.9", label: "≥ 0.9" }
+                    ]}
+                    allowDeselect={false}
+                    style={{ width: 200 }}
+                  />
+                  <Select
+                    label="Track order"
+                    size="sm"
+                    value={reviewOrder}
+                    onChange={(value) => setReviewOrder(value || "found")}
+                    data={[
+                      { value: "found", label: "As found" },
+                      { value: "harmonic", label: "Harmonic (Camelot)" },
+                      { value: "energy-up", label: "Calm → intense" },
+                      { value: "energy-down", label: "Intense → calm" }
+                    ]}
+                    allowDeselect={false}
+                    style={{ width: 200 }}
+                  />
+                  <Select
+                    label="Energy"
+                    size="sm"
+                    value={String(minEnergy)}
+                    onChange={(value) => setMinEnergy(parseInt(value || "0", 10))}
+                    data={ENERGY_FILTER_OPTIONS}
+                    allowDeselect={false}
+                    style={{ width: 200 }}
+                  />
+                  <Checkbox
+                    label="Grounded sources only"
+                    checked={groundedOnly}
+                    onChange={(e) => setGroundedOnly(e.currentTarget.checked)}
+                  />
+                </Group>
+                
+                <Modal
+                  opened={!!evidenceTrack}
+                  onClose={() => setEvidenceTrack(null)}
+                  title={evidenceTrack ? `Why ${evidenceTrack.originalTempo ?? evidenceTrack.tempo} BPM?` : ''}
+                  size="lg"
+                >
+                  {evidenceTrack && (() => {
+                    const p = evidenceTrack.provenance || provenanceOf({});
+                    return (
+                      <Stack gap="sm">
+                        <Text size="sm" fw={500}>{evidenceTrack.name} — {evidenceTrack.artists?.map(a => a.name || a).join(", ")}</Text>
+                        <Group gap="xs">
+                          <Badge variant="light">{p.tier || 'Unknown tier'}</Badge>
+                          {p.model && <Badge variant="light" color="gray">{p.model}</Badge>}
+                          {p.manual
+                            ? <Badge color="green">Entered manually</Badge>
+                            : p.localAnalysis
+                              ? <Badge color="green">Measured from {p.localAnalysis.fileName}</Badge>
+                              : p.batchGrounding
+                                ? <Badge color="yellow">Batch search ({p.batchGrounding.songs} songs)</Badge>
+                                : <Badge color={p.grounded ? 'green' : 'orange'}>{p.grounded ? 'Grounded in search' : 'Not grounded'}</Badge>}
+                          {p.localAnalysis && (
+                            <Badge color={p.localAnalysis.stable ? 'teal' : 'orange'}>
+                              {p.localAnalysis.stable ? 'Stable tempo' : `Tempo drifts ${p.localAnalysis.range[0]}–${p.localAnalysis.range[1]}`}
+                            </Badge>
+                          )}
+                          {p.imported && <Badge color="gray">Imported</Badge>}
+                          {p.octaveCorrected && <Badge color="grape">Octave-corrected</Badge>}
+                          {evidenceTrack.confidence != null && <Badge color="gray">{Math.round(evidenceTrack.confidence * 100)}% confidence</Badge>}
+                        </Group>
+                        {p.readings.length > 1 && (
+                          <div>
+                            <Text size="xs" fw={500}>Provider readings</Text>
+                            <List size="xs">
+                              {p.readings.map((r, i) => (
+                                <List.Item key={i}>{r.tier} ({r.model}): {r.bpm} BPM{r.grounded ? ' — grounded' : ''}</List.Item>
+                              ))}
+                            </List>
+                          </div>
+                        )}
+                        <div>
+                          <Text size="xs" fw={500}>Citations</Text>
+                          {p.sources.length === 0 && p.reportedSources.length === 0 ? (
+                            <Text size="xs" c="dimmed">No sources recorded.</Text>
+                          ) : (
+                            <List size="xs">
+                              {p.sources.map((url) => (
+                                <List.Item key={url}><Link href={url} target="_blank" rel="noreferrer">{url}</Link></List.Item>
+                              ))}
+                              {p.reportedSources.filter((url) => !p.sources.includes(url)).map((url) => (
+                                <List.Item key={url}><Link href={url} target="_blank" rel="noreferrer">{url}</Link> <Text span size="xs" c="dimmed">(cited by the model)</Text></List.Item>
+                              ))}
+                            </List>
+                          )}
+                        </div>
+                        {p.searchQueries.length > 0 && (
+                          <Text size="xs"><b>Search queries:</b> {p.searchQueries.join(" · ")}</Text>
+                        )}
+                        {p.batchGrounding && (
+                          <div>
+                            <Text size="xs" fw={500}>Searched for batch #{p.batchGrounding.batch} as a whole (not tied to this song)</Text>
+                            <List size="xs">
+                              {p.batchGrounding.sources.map((url) => (
+                                <List.Item key={url}><Link href={url} target="_blank" rel="noreferrer">{url}</Link></List.Item>
+                              ))}
+                            </List>
+                            {p.batchGrounding.searchQueries.length > 0 && (
+                              <Text size="xs"><b>Batch search queries:</b> {p.batchGrounding.searchQueries.join(" · ")}</Text>
+                            )}
+                          </div>
+                        )}
+                        {p.rawText && (
+                          <div>
+                            <Text size="xs" fw={500}>Model answer</Text>
+                            <Code block>{p.rawText}</Code>
+                          </div>
+                        )}
+                      </Stack>
+                    );
+                  })()}
+                </Modal>
+
                 <Card p="md" style={{ display: 'flex', flexDirection: 'column', height: '420px' }}>
                   <Text size="sm" fw={500} mb="md">Selected Songs:</Text>
                   <ScrollArea 
@@ -2294,8 +3287,14 @@ export default function App() {
                     type="always"
                   >
                     <Stack gap="sm" pb="md">
-                        {finalTrackSelection.map((track, i) => (
-                          <Paper key={track.id} p="md" style={{ backgroundColor: 'var(--mantine-color-gray-0)' }}>
+                        {reviewTracks.map((track, i) => (
+                          <Paper 
+                            key={track.id} 
+                            p="md" 
+                            style={{ backgroundColor: 'var(--mantine-color-gray-0)', cursor: 'pointer' }}
+                            onClick={() => setEvidenceTrack(track)}
+                            title="Why this BPM?"
+                          >
                             <Group justify="space-between" gap="md">
                               <Group gap="md" style={{ flex: 1, minWidth: 0 }}>
                                 <div style={{ position: 'relative' }}>
@@ -2343,7 +3342,26 @@ export default function App() {
                                   <Chip size="sm" color="spotify" variant="light">
                                     {track.tempo?.toFixed(1)} BPM
                                   </Chip>
+                                  {track.camelot && (
+                                    <Chip
+                                      size="sm"
+                                      variant="light"
+                                      color={i > 0 && reviewTracks[i - 1].camelot && !areKeysCompatible(reviewTracks[i - 1].camelot, track.camelot) ? 'orange' : 'gray'}
+                                    >
+                                      {track.camelot}
+                                    </Chip>
+                                  )}
                                 </Group>
+                                {track.energy != null && (
+                                  <Text size="xs" mt="xs" c="dimmed">
+                                    ⚡ {track.energy}/10 {energyLevel(track.energy)}
+                                  </Text>
+                                )}
+                                {track.confidence != null && (
+                                  <Text size="xs" mt="xs" c={track.confidence >= 0.7 ? 'green' : track.confidence >= 0.5 ? 'dimmed' : 'orange'}>
+                                    {Math.round(track.confidence * 100)}% confidence
+                                  </Text>
+                                )}
                                 {track.tempoType !== "original" && (
                                   <Text size="xs" c="dimmed" mt="xs">
                                     {track.tempoType === "half-time" && (
@@ -2369,7 +3387,7 @@ export default function App() {
                   label="Playlist name"
                   value={newPlaylistName}
                   onChange={(e) => setNewPlaylistName(e.target.value)}
-                  placeholder={`Smart ${Math.round(finalTrackSelection.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000)}min Mix (${Math.round(minTempo)}-${Math.round(maxTempo)} BPM)`}
+                  placeholder={`Smart ${Math.round(reviewTracks.reduce((sum, t) => sum + (t.duration_ms || 0), 0) / 60000)}min Mix (${Math.round(minTempo)}-${Math.round(maxTempo)} BPM)`}
                   size="md"
                   styles={{
                   
@@ -2397,15 +3415,29 @@ export default function App() {
                   >
                     Start Over
                   </Button>
-                  <Button 
-                    size="md"
-                    color="brand"
-                    loading={loading}
-                    onClick={createPlaylistFromSelection}
-                    style={{ flex: 1 }}
-                  >
-                    {loading ? "Creating..." : "Create Playlist"}
-                  </Button>
+                  {librarySource === "local" ? (
+                    Object.entries(PLAYLIST_FORMATS).map(([format, { label }]) => (
+                      <Button
+                        key={format}
+                        size="md"
+                        color="brand"
+                        onClick={() => downloadLocalPlaylist(format)}
+                        style={{ flex: 1 }}
+                      >
+                        Download {label}
+                      </Button>
+                    ))
+                  ) : (
+                    <Button 
+                      size="md"
+                      color="brand"
+                      loading={loading}
+                      onClick={createPlaylistFromSelection}
+                      style={{ flex: 1 }}
+                    >
+                      {loading ? "Creating..." : "Create Playlist"}
+                    </Button>
+                  )}
                 </div>
               </div>
             )}
@@ -2417,14 +3449,19 @@ export default function App() {
                   🎵 Creating your playlist...
                 </div>
                 <div className="text-sm text-default-500">
-                  Adding {finalTrackSelection.length} tracks to Spotify
+                  Adding {reviewTracks.length} tracks to Spotify
                 </div>
               </div>
             )}
             
             {playlistCreationStep === "complete" && (
               <div className="text-center space-y-4">
-                <div className="text-lg font-medium text-success-600">✅ Playlist Created!</div>
+                <div className="text-lg font-medium text-success-600">{librarySource === "local" ? "✅ Playlist Saved!" : "✅ Playlist Created!"}</div>
+                {librarySource === "local" && (
+                  <Text size="sm" c="dimmed">
+                    Put the file in "{localLibraryName}" — its tracks are listed relative to that folder.
+                  </Text>
+                )}
                 <div className="flex flex-col gap-4 items-center">
                   {createdPlaylistUrl && (
                     <Link 
@@ -2616,6 +3653,91 @@ export default function App() {
               </div>
             </div>
 
+            {/* Rate Limiter */}
+            <div className="mb-4 flex flex-wrap gap-4 bg-slate-900/40 rounded-lg border border-slate-600/50 px-3 py-2 text-slate-300">
+              <span>⏱️ Concurrency: <span className="text-slate-100">{rateState.active}/{rateState.limit}</span> <span className="text-slate-500">(max {rateState.maxConcurrency})</span></span>
+              <span>Waiting: <span className="text-slate-100">{rateState.waiting}</span></span>
+              <span>Rate limits hit: <span className={rateState.rateLimitHits > 0 ? 'text-orange-400' : 'text-slate-100'}>{rateState.rateLimitHits}</span></span>
+              <span>
+                Backoff:{' '}
+                {rateState.backoffUntil > Date.now()
+                  ? <span className="text-orange-400">until {new Date(rateState.backoffUntil).toLocaleTimeString()}</span>
+                  : <span className="text-emerald-400">none</span>}
+              </span>
+              {rateState.lastEvent && <span className="text-slate-400 w-full">{rateState.lastEvent}</span>}
+            </div>
+
+            {/* Spotify throttle */}
+            <div className="mb-4 flex flex-wrap gap-4 bg-slate-900/40 rounded-lg border border-slate-600/50 px-3 py-2 text-slate-300">
+              <span>🎧 Spotify requests: <span className="text-slate-100">{spotifyRateState.active}/{spotifyRateState.limit}</span> <span className="text-slate-500">(max {spotifyRateState.maxConcurrency})</span></span>
+              <span>Waiting: <span className="text-slate-100">{spotifyRateState.waiting}</span></span>
+              <span>Rate limits hit: <span className={spotifyRateState.rateLimitHits > 0 ? 'text-orange-400' : 'text-slate-100'}>{spotifyRateState.rateLimitHits}</span></span>
+              <span>
+                Backoff:{' '}
+                {spotifyRateState.backoffUntil > Date.now()
+                  ? <span className="text-orange-400">until {new Date(spotifyRateState.backoffUntil).toLocaleTimeString()}</span>
+                  : <span className="text-emerald-400">none</span>}
+              </span>
+            </div>
+
+            {/* Usage */}
+            <div className="mb-4 bg-slate-900/40 rounded-lg border border-slate-600/50 px-3 py-2 text-slate-300 space-y-1">
+              {[['This scan', geminiUsage.scan], ['Today', geminiUsage.day]].map(([label, totals]) => (
+                <div key={label} className="flex flex-wrap gap-4">
+                  <span className="text-slate-100 w-20">{label}</span>
+                  <span>📞 {totals.calls} calls{totals.failedCalls > 0 && <span className="text-orange-400"> ({totals.failedCalls} failed)</span>}</span>
+                  <span>🔢 {totals.totalTokens.toLocaleString()} tokens <span className="text-slate-500">({totals.promptTokens.toLocaleString()} in / {totals.outputTokens.toLocaleString()} out)</span></span>
+                  {Object.entries(totals.byTier).map(([tier, t]) => (
+                    <span key={tier} className="text-slate-400">{tier} · {t.model}: {t.calls} / {t.totalTokens.toLocaleString()}</span>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            {/* Source Breakdown */}
+            <div className="mb-4 bg-slate-900/40 rounded-lg border border-slate-600/50 px-3 py-2 text-slate-300">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-slate-100">🌐 Sources cited this session {sourcePolicy.enabled ? `(trusted at ≥ ${sourcePolicy.minScore})` : '(policy off)'}</span>
+                <button 
+                  onClick={resetSourceBreakdown}
+                  className="text-xs px-2 py-0.5 bg-slate-900/40 border border-slate-600/50 rounded text-slate-300 hover:bg-slate-800/60"
+                >
+                  Reset
+                </button>
+              </div>
+              {Object.keys(sourceBreakdown).length === 0 ? (
+                <span className="text-slate-500 italic">No sourced answers yet.</span>
+              ) : (
+                <div className="flex flex-wrap gap-x-4 gap-y-1">
+                  {Object.values(sourceBreakdown).sort((a, b) => b.answers - a.answers).map((d) => (
+                    <span key={d.domain} className={d.weight == null ? 'text-slate-400' : d.weight >= sourcePolicy.minScore ? 'text-emerald-400' : d.weight === 0 ? 'text-red-400' : 'text-orange-400'}>
+                      {d.domain} <span className="text-slate-500">w{d.weight ?? '-'}</span> {d.accepted}/{d.answers}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Tier Ranking */}
+            <div className="mb-4 bg-slate-900/40 rounded-lg border border-slate-600/50 px-3 py-2 text-slate-300">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-slate-100">🏁 Tier ranking {adaptiveTiers ? '(adaptive)' : '(off: configured order is used)'}</span>
+                <button 
+                  onClick={resetTierStats}
+                  className="text-xs px-2 py-0.5 bg-slate-900/40 border border-slate-600/50 rounded text-slate-300 hover:bg-slate-800/60"
+                >
+                  Reset Stats
+                </button>
+              </div>
+              {tierRanking.map((r, i) => (
+                <div key={r.id} className={r.skipped ? 'text-slate-500 line-through' : ''}>
+                  {r.skipped ? '–' : `${i + 1}.`} <span className="text-slate-100">{r.name}</span>
+                  {r.score != null && <span className="text-cyan-400"> {r.score}</span>}
+                  <span className="text-slate-400"> · {r.reason}</span>
+                </div>
+              ))}
+            </div>
+
             {/* Live Status Table */}
             <div className="mb-6">
               <h3 className="text-md font-bold text-slate-200 mb-3">⚡ Live Processing Status ({Object.keys(geminiLiveStatus).length} songs)</h3>
@@ -2625,17 +3747,19 @@ export default function App() {
                   <thead className="sticky top-0 bg-slate-800">
                     <tr className="border-b border-slate-600/50">
                       <th className="text-left py-2 px-3 text-slate-300 font-medium">Song</th>
-                      <th className="text-center py-2 px-3 text-slate-300 font-medium">Primary</th>
-                      <th className="text-center py-2 px-3 text-slate-300 font-medium">Secondary</th>
-                      <th className="text-center py-2 px-3 text-slate-300 font-medium">Tertiary</th>
+                      <th className="text-center py-2 px-3 text-slate-300 font-medium">Batch</th>
+                      {enabledProviders.map((p) => (
+                        <th key={p.id} className="text-center py-2 px-3 text-slate-300 font-medium">{p.name}</th>
+                      ))}
                       <th className="text-center py-2 px-3 text-slate-300 font-medium">Final BPM</th>
+                      <th className="text-center py-2 px-3 text-slate-300 font-medium">Confidence</th>
                       <th className="text-center py-2 px-3 text-slate-300 font-medium">Updated</th>
                     </tr>
                   </thead>
                   <tbody>
                     {Object.keys(geminiLiveStatus).length === 0 ? (
                       <tr>
-                        <td colSpan="6" className="py-4 px-3 text-center text-slate-400 italic">
+                        <td colSpan={enabledProviders.length + 5} className="py-4 px-3 text-center text-slate-400 italic">
                           No songs being processed. Click "Test Table" to see sample data.
                         </td>
                       </tr>
@@ -2643,14 +3767,16 @@ export default function App() {
                       Object.entries(geminiLiveStatus).map(([songKey, status]) => {
                         console.log('🔍 Rendering row for:', songKey, status);
                         return (
-                          <tr key={songKey} className="border-b border-slate-600/30 hover:bg-slate-800/30">
+                          <tr key={songKey} className={`border-b border-slate-600/30 hover:bg-slate-800/30 ${status.cancelled ? 'opacity-60 line-through decoration-red-400/60' : ''}`}>
                             <td className="py-2 px-3 text-slate-200 truncate max-w-xs">
                               {status.songName ? `${status.songName} - ${status.artist}` : songKey}
                             </td>
-                            <td className="py-2 px-3 text-center text-slate-200">{status.primary || '-'}</td>
-                            <td className="py-2 px-3 text-center text-slate-200">{status.secondary || '-'}</td>
-                            <td className="py-2 px-3 text-center text-slate-200">{status.tertiary || '-'}</td>
+                            <td className="py-2 px-3 text-center text-slate-400">{status.batch ? `#${status.batch}` : '-'}</td>
+                            {enabledProviders.map((p) => (
+                              <td key={p.id} className="py-2 px-3 text-center text-slate-200">{status[p.id] || '-'}</td>
+                            ))}
                             <td className="py-2 px-3 text-center text-slate-200">{status.finalBPM || '-'}</td>
+                            <td className="py-2 px-3 text-center text-slate-200">{status.confidence != null ? status.confidence : '-'}</td>
                             <td className="py-2 px-3 text-center text-slate-200">{status.updatedAt || '-'}</td>
                           </tr>
                         );
@@ -2665,6 +3791,13 @@ export default function App() {
                 <span>❌ <span className="text-orange-400">Failed</span></span>
                 <span>🚨 <span className="text-red-400">Error</span></span>
                 <span>⏭️ <span className="text-slate-500">Skipped</span></span>
+                <span>⏱️ <span className="text-orange-300">Rate limited</span></span>
+                <span>💸 <span className="text-yellow-300">Over budget</span></span>
+                <span>✍️ <span className="text-emerald-300">Manual</span></span>
+                <span>⚠️ <span className="text-orange-300">Untrusted</span></span>
+                <span>🪑 <span className="text-slate-500">Benched</span></span>
+                <span>💾 <span className="text-sky-400">Cached</span></span>
+                <span>🚫 <span className="text-red-300 line-through">Cancelled</span></span>
               </div>
             </div>
 
@@ -2672,6 +3805,11 @@ export default function App() {
             {geminiLogs.length > 0 && (
               <div>
                 <h3 className="text-md font-bold text-slate-200 mb-3">📋 Detailed API Responses</h3>
+                <div className="mb-2 text-slate-400">
+                  🧹 Valid answers by query: {Object.entries({ "normalized titles": queryHitRates.normalized, "unchanged titles": queryHitRates.unchanged })
+                    .map(([label, { calls, valid }]) => `${label} ${calls > 0 ? `${Math.round((valid / calls) * 100)}%` : "-"} (${valid}/${calls})`)
+                    .join(" · ")}
+                </div>
                 <div className="space-y-2 max-h-96 overflow-auto text-sm font-mono">
               {geminiLogs.map((log, i) => (
                 <div key={i} className={`bg-slate-900/40 rounded-lg px-3 py-2 border border-slate-600/50 ${
@@ -2709,10 +3847,19 @@ export default function App() {
                     </div>
                   </div>
                   <div className="text-xs text-slate-400 space-y-1">
+                    {log.query && (
+                      <div>
+                        <span className="text-slate-300">Query:</span> {log.query}
+                        {log.normalized && <span className="ml-2 text-cyan-300">🧹 normalized from {log.rawQuery}</span>}
+                      </div>
+                    )}
                     <div>
                       <span className="text-slate-300">Raw response:</span> "{log.rawResponse}"
                       {!log.error && !log.valid && (
-                        <span className="text-yellow-400 ml-2">⚠️ Invalid BPM format</span>
+                        <span className="text-yellow-400 ml-2">⚠️ {log.rejectReason ? `Rejected: ${log.rejectReason}` : 'Invalid BPM format'}</span>
+                      )}
+                      {log.valid && log.rejectReason && (
+                        <span className="text-yellow-400 ml-2">⚠️ {log.rejectReason}</span>
                       )}
                       {log.error && (
                         <span className="text-red-400 ml-2">❌ API Error</span>
@@ -2740,9 +3887,12 @@ export default function App() {
               ))}
             </div>
             <div className="mt-3 text-xs text-slate-400">
-              <span className="text-blue-400">Blue = Primary (gemini-2.5-flash-lite)</span> • 
-              <span className="text-orange-400 ml-2">Orange = Secondary (gemini-2.0-flash)</span> • 
-              <span className="text-purple-400 ml-2">Purple = Tertiary (gemini-2.5-flash)</span> • 
+              {enabledProviders.map((p) => (
+                <span key={p.id} className="mr-2">{p.name} = {p.model} •</span>
+              ))}
+              <span className="text-blue-400">Blue = Primary</span> • 
+              <span className="text-orange-400 ml-2">Orange = Secondary</span> • 
+              <span className="text-purple-400 ml-2">Purple = Tertiary</span> • 
               <span className="text-emerald-400 ml-2">Green = Valid BPM</span> • 
               <span className="text-yellow-400 ml-2">Yellow = Invalid</span> • 
               <span className="text-red-400 ml-2">Red = Error</span>
@@ -2751,6 +3901,116 @@ export default function App() {
             )}
           </section>
 
+        {/* Unresolved Tracks */}
+        <section className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-4 mb-6 text-xs font-mono">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-bold text-slate-100">🕳️ Unresolved Tracks ({unresolvedTracks.length})</h2>
+            <div className="flex items-center gap-2">
+              <label className="text-slate-300">Retry with</label>
+              <select
+                value={unresolvedProvider}
+                onChange={(e) => setUnresolvedProvider(e.target.value)}
+                className="px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+              >
+                <option value="all">All providers</option>
+                {providerConfigs.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name} ({c.model})</option>
+                ))}
+              </select>
+              <button 
+                onClick={() => retryUnresolved(unresolvedTracks.filter((t) => !retryingIds.includes(t.id)))}
+                disabled={unresolvedTracks.length === 0 || !!bpmSetupProblem}
+                className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors disabled:opacity-50"
+              >
+                Retry All
+              </button>
+            </div>
+          </div>
+          {unresolvedTracks.length === 0 ? (
+            <div className="text-slate-400 italic">Every scanned track has a BPM.</div>
+          ) : (
+            <div className="space-y-2 max-h-96 overflow-auto">
+              {unresolvedTracks.map((track) => (
+                <div key={track.id} className="bg-slate-900/40 rounded-lg px-3 py-2 border border-slate-600/50">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-slate-200 flex-1 min-w-0 truncate">
+                      {track.name} - {track.artists.map((a) => a.name).join(", ")}
+                      <span className="text-slate-500 ml-2">failed {new Date(track.failedAt).toLocaleString()}</span>
+                    </span>
+                    <button 
+                      onClick={() => retryUnresolved([track])}
+                      disabled={retryingIds.includes(track.id) || !!bpmSetupProblem}
+                      className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors disabled:opacity-50"
+                    >
+                      {retryingIds.includes(track.id) ? 'Retrying...' : 'Retry'}
+                    </button>
+                    <input 
+                      type="number"
+                      min={1}
+                      step="0.1"
+                      placeholder="BPM"
+                      value={manualBpmInputs[track.id] ?? ""}
+                      onChange={(e) => setManualBpmInputs((inputs) => ({ ...inputs, [track.id]: e.target.value }))}
+                      className="w-20 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                    />
+                    <button 
+                      onClick={() => setTapTrackId(tapTrackId === track.id ? null : track.id)}
+                      className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                    >
+                      {tapTrackId === track.id ? 'Hide Tap' : 'Tap Tempo'}
+                    </button>
+                    <button 
+                      onClick={() => saveManualBpm(track)}
+                      disabled={!manualBpmInputs[track.id]}
+                      className="text-xs px-3 py-1 bg-emerald-600 text-white rounded-lg hover:bg-emerald-500 transition-colors disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                  </div>
+                  {tapTrackId === track.id && (
+                    <div className="mt-2">
+                      <TapTempo onBpm={(bpm) => setManualBpmInputs((inputs) => ({ ...inputs, [track.id]: String(bpm) }))} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="mt-2 text-slate-500">Saved BPMs are stored as manual overrides and used instead of any AI answer in later scans.</div>
+          <div className="mt-3 bg-slate-900/40 rounded-lg px-3 py-2 border border-slate-600/50">
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-slate-100">🎧 Analyze audio files</span>
+              <input 
+                type="file"
+                multiple
+                accept={AUDIO_FILE_ACCEPT}
+                disabled={analyzingAudio}
+                onChange={(e) => {
+                  handleAnalyzeAudioFiles(e.target.files);
+                  e.target.value = "";
+                }}
+                className="text-slate-300 text-xs"
+              />
+              {analyzingAudio && <span className="text-yellow-400">Analyzing...</span>}
+            </div>
+            <div className="mt-1 text-slate-500">MP3/FLAC/WAV files are decoded in the browser; each is matched to a scanned track by title, artist ("Artist - Title" file names) and duration, and its tempo is stored with high confidence.</div>
+            {audioAnalyses.length > 0 && (
+              <div className="mt-2 space-y-1 max-h-40 overflow-auto">
+                {audioAnalyses.map((a, i) => (
+                  <div key={`${a.fileName}-${i}`} className="text-slate-300">
+                    {a.fileName}: {a.error
+                      ? <span className="text-red-400">{a.error}</span>
+                      : <>
+                          <span className="text-slate-100">{a.bpm} BPM</span>
+                          <span className={a.stable ? 'text-emerald-400' : 'text-orange-400'}> {a.stable ? 'stable' : `drifts ${a.range[0]}-${a.range[1]}`}</span>
+                          {a.trackName ? <span className="text-slate-400"> → {a.trackName}</span> : <span className="text-orange-300"> no matching track</span>}
+                        </>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </section>
 
         {/* Settings */}
         <section className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-4 mb-6 text-xs font-mono">
@@ -2799,13 +4059,398 @@ export default function App() {
             </div>
             <div className="col-span-1 md:col-span-3">
               <div className="bg-slate-900/40 rounded-lg p-3 border border-slate-600/50">
-                <span className="text-slate-300 font-medium">Google Gemini API Key (required for BPM analysis)</span>
+                <span className="text-slate-300 font-medium">Google Gemini API Key (required for Gemini BPM providers)</span>
                 {import.meta.env.VITE_GEMINI_API_KEY && <span className="text-emerald-400 ml-1">(.env)</span>}<br/>
                 <div className="w-full mt-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 text-slate-200 text-xs">
                   {geminiApiKey ? "✓ Configured" : "Not set"}
                 </div>
               </div>
             </div>
+            <div className="col-span-1 md:col-span-3">
+              <div className="bg-slate-900/40 rounded-lg p-3 border border-slate-600/50">
+                <span className="text-slate-300 font-medium">💾 BPM Cache</span>
+                <span className="text-slate-400 ml-2">{bpmCacheCount} tracks stored</span><br/>
+                <div className="flex items-center gap-3 mt-1">
+                  <label className="text-slate-300">Expire after (days, 0 = never)</label>
+                  <input 
+                    type="number"
+                    min={0}
+                    value={bpmCacheTtlDays}
+                    onChange={(e) => setBpmCacheTtlDays(Math.max(0, parseInt(e.target.value || "0", 10)))}
+                    className="w-20 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                  />
+                  <button 
+                    onClick={handleClearBpmCache}
+                    className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                  >
+                    Clear Cache
+                  </button>
+                </div>
+                <div className="flex items-center gap-3 mt-2 text-slate-300">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={distinctVersions}
+                      onChange={(e) => setDistinctVersions(e.target.checked)}
+                    />
+                    Live and remix versions are separate songs
+                  </label>
+                  <span className="text-slate-400">Releases of a song (same ISRC, or same title, artist and length) share one BPM and appear once per playlist.</span>
+                </div>
+                <div className="flex flex-wrap items-center gap-3 mt-2">
+                  <button 
+                    onClick={() => handleExportBpmDatabase("json")}
+                    className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                  >
+                    Export JSON
+                  </button>
+                  <button 
+                    onClick={() => handleExportBpmDatabase("csv")}
+                    className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                  >
+                    Export CSV
+                  </button>
+                  <label className="text-slate-300">On conflict</label>
+                  <select
+                    value={importPolicy}
+                    onChange={(e) => setImportPolicy(e.target.value)}
+                    className="px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                  >
+                    {Object.entries(MERGE_POLICIES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <label className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors cursor-pointer">
+                    Import JSON/CSV
+                    <input 
+                      type="file"
+                      accept=".json,.csv,application/json,text/csv"
+                      className="hidden"
+                      onChange={(e) => {
+                        handleImportBpmDatabase(e.target.files?.[0]);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
+                </div>
+              </div>
+            </div>
+            <div className="col-span-1 md:col-span-3">
+              <div className="bg-slate-900/40 rounded-lg p-3 border border-slate-600/50">
+                <span className="text-slate-300 font-medium">🌐 Trusted Sources</span>
+                <div className="flex flex-wrap items-center gap-3 mt-1">
+                  <label className="flex items-center gap-1 text-slate-300">
+                    <input 
+                      type="checkbox"
+                      checked={sourcePolicy.enabled}
+                      onChange={(e) => setSourcePolicy((p) => ({ ...p, enabled: e.target.checked }))}
+                    />
+                    Score answers by their sources
+                  </label>
+                  <label className="flex items-center gap-1 text-slate-300">
+                    Trusted at score ≥
+                    <input 
+                      type="number"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={sourcePolicy.minScore}
+                      onChange={(e) => setSourcePolicy((p) => ({ ...p, minScore: Math.min(1, Math.max(0, parseFloat(e.target.value || "0"))) }))}
+                      className="w-20 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1 text-slate-300">
+                    Unlisted domain weight
+                    <input 
+                      type="number"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={sourcePolicy.unknownWeight}
+                      onChange={(e) => setSourcePolicy((p) => ({ ...p, unknownWeight: Math.min(1, Math.max(0, parseFloat(e.target.value || "0"))) }))}
+                      className="w-20 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                    />
+                  </label>
+                  <button 
+                    onClick={() => {
+                      setSourcePolicy(DEFAULT_SOURCE_POLICY);
+                      setDomainRulesText(formatDomainRules(DEFAULT_SOURCE_POLICY.domains));
+                    }}
+                    className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                  >
+                    Reset
+                  </button>
+                </div>
+                <textarea 
+                  value={domainRulesText}
+                  onChange={(e) => setDomainRulesText(e.target.value)}
+                  onBlur={() => setSourcePolicy((p) => ({ ...p, domains: parseDomainRules(domainRulesText) }))}
+                  rows={5}
+                  className="w-full mt-2 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs font-mono"
+                />
+                <div className="text-slate-500 mt-1">One "domain = weight" per line (0–1). Weight 0 or a leading "-" denies a domain. Answers citing only domains below the threshold fall through to the next tier.</div>
+              </div>
+            </div>
+            <div className="col-span-1 md:col-span-3">
+              <div className="bg-slate-900/40 rounded-lg p-3 border border-slate-600/50">
+                <span className="text-slate-300 font-medium">💸 Gemini Budget</span>
+                <span className="text-slate-400 ml-2">
+                  today: {geminiUsage.day.calls} calls, {geminiUsage.day.totalTokens.toLocaleString()} tokens
+                </span><br/>
+                <div className="flex flex-wrap items-center gap-3 mt-1">
+                  {[
+                    ['scanCalls', 'Calls / scan'],
+                    ['scanTokens', 'Tokens / scan'],
+                    ['dayCalls', 'Calls / day'],
+                    ['dayTokens', 'Tokens / day'],
+                  ].map(([field, label]) => (
+                    <label key={field} className="flex items-center gap-1 text-slate-300">
+                      {label}
+                      <input 
+                        type="number"
+                        min={0}
+                        value={geminiBudget[field]}
+                        onChange={(e) => setGeminiBudget((b) => ({ ...b, [field]: Math.max(0, parseInt(e.target.value || "0", 10)) }))}
+                        className="w-24 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                      />
+                    </label>
+                  ))}
+                  <button 
+                    onClick={resetDailyUsage}
+                    className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                  >
+                    Reset Today
+                  </button>
+                </div>
+                <div className="text-slate-500 mt-1">0 = unlimited. Scans stop early and show what they found once a limit is hit.</div>
+              </div>
+            </div>
+            <div className="col-span-1 md:col-span-3">
+              <div className="bg-slate-900/40 rounded-lg p-3 border border-slate-600/50">
+                <div className="flex items-center justify-between">
+                  <span className="text-slate-300 font-medium">🤖 BPM Providers (tried top to bottom)</span>
+                  <div className="flex gap-2">
+                    <button 
+                      onClick={() => setProviderConfigs((configs) => [...configs, newProviderConfig(configs)])}
+                      className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                    >
+                      + Add Provider
+                    </button>
+                    <button 
+                      onClick={() => setProviderConfigs(DEFAULT_PROVIDER_CONFIGS)}
+                      className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+                    >
+                      Reset
+                    </button>
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 mt-2 text-slate-300">
+                  <label className="flex items-center gap-1">
+                    <input 
+                      type="checkbox"
+                      checked={consensusMode}
+                      onChange={(e) => setConsensusMode(e.target.checked)}
+                    />
+                    Consensus mode
+                  </label>
+                  <label className={consensusMode ? '' : 'opacity-50'}>Agreeing providers needed
+                    <input 
+                      type="number" min={2} max={Math.max(2, enabledProviders.length)}
+                      value={consensusMinProviders}
+                      disabled={!consensusMode}
+                      onChange={(e) => setConsensusMinProviders(Math.max(2, parseInt(e.target.value || "2", 10)))}
+                      className="w-14 ml-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                    />
+                  </label>
+                  <span className="text-slate-400">Half/double-time readings count as the same tempo.</span>
+                </div>
+                <div className="flex items-center gap-3 mt-2 text-slate-300">
+                  <label className="flex items-center gap-1">
+                    <input 
+                      type="checkbox"
+                      checked={batchMode}
+                      onChange={(e) => setBatchMode(e.target.checked)}
+                    />
+                    Batch mode
+                  </label>
+                  <label className={batchMode ? '' : 'opacity-50'}>Songs per request
+                    <input 
+                      type="number" min={MIN_BATCH_SIZE} max={MAX_BATCH_SIZE}
+                      value={batchSize}
+                      disabled={!batchMode}
+                      onChange={(e) => setBatchSize(Math.min(MAX_BATCH_SIZE, Math.max(MIN_BATCH_SIZE, parseInt(e.target.value || "0", 10))))}
+                      className="w-14 ml-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                    />
+                  </label>
+                  <span className="text-slate-400">Uses the first provider; missing answers fall back to single lookups.</span>
+                </div>
+                <div className="flex items-center gap-3 mt-2 text-slate-300">
+                  <label className="flex items-center gap-1">
+                    <input 
+                      type="checkbox"
+                      checked={adaptiveTiers}
+                      onChange={(e) => setAdaptiveTiers(e.target.checked)}
+                    />
+                    Adaptive tier order
+                  </label>
+                  <span className="text-slate-400">Tries the most reliable, fastest tiers first and benches ones that keep failing (see Debug).</span>
+                </div>
+                <div className="space-y-2 mt-2">
+                  {providerConfigs.map((p, i) => (
+                    <div key={p.id} className={`bg-slate-800/60 rounded-lg p-2 border border-slate-600/30 ${p.enabled === false ? 'opacity-50' : ''}`}>
+                      <div className="flex items-center gap-2">
+                        <input 
+                          type="checkbox"
+                          checked={p.enabled !== false}
+                          onChange={(e) => updateProviderConfig(p.id, { enabled: e.target.checked })}
+                        />
+                        <input 
+                          value={p.name}
+                          onChange={(e) => updateProviderConfig(p.id, { name: e.target.value })}
+                          className="w-28 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                        />
+                        <select
+                          value={p.type || "gemini"}
+                          onChange={(e) => setProviderConfigs((configs) => configs.map((c) => (c.id === p.id ? switchProviderType(c, e.target.value) : c)))}
+                          className="px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                        >
+                          {Object.entries(PROVIDER_TYPE_LABELS).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                          ))}
+                        </select>
+                        {p.type === "spotify" ? (
+                          <span className="flex-1 text-slate-400">Spotify's own tempo, key and energy, 100 tracks per request{audioFeaturesOff ? ` - off: ${audioFeaturesOff}` : ''}</span>
+                        ) : p.type === "site" ? (
+                          <span className="flex-1 text-slate-400">Tempo, key and duration parsed from reference pages</span>
+                        ) : (
+                          <input 
+                            value={p.model}
+                            onChange={(e) => updateProviderConfig(p.id, { model: e.target.value })}
+                            className="flex-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                            placeholder="model"
+                          />
+                        )}
+                        <button onClick={() => moveProviderConfig(i, -1)} disabled={i === 0} className="px-2 text-slate-300 disabled:opacity-30">↑</button>
+                        <button onClick={() => moveProviderConfig(i, 1)} disabled={i === providerConfigs.length - 1} className="px-2 text-slate-300 disabled:opacity-30">↓</button>
+                        <button 
+                          onClick={() => {
+                            setProviderConfigs((configs) => configs.filter((c) => c.id !== p.id));
+                            setProviderApiKeys(({ [p.id]: removed, ...keys }) => keys);
+                          }}
+                          disabled={providerConfigs.length === 1}
+                          className="px-2 text-red-400 disabled:opacity-30"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                      <div className="flex items-center gap-3 mt-2 text-slate-400">
+                        {isLLMProvider(p) && (
+                          <>
+                            <label>Temp
+                              <input 
+                                type="number" step="0.05" min={0} max={2}
+                                value={p.temperature}
+                                onChange={(e) => updateProviderConfig(p.id, { temperature: parseFloat(e.target.value || "0") })}
+                                className="w-16 ml-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                              />
+                            </label>
+                            <label>Max tokens
+                              <input 
+                                type="number" min={1}
+                                value={p.maxOutputTokens}
+                                onChange={(e) => updateProviderConfig(p.id, { maxOutputTokens: parseInt(e.target.value || "0", 10) })}
+                                className="w-16 ml-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                              />
+                            </label>
+                          </>
+                        )}
+                        {p.type === "site" ? (
+                          Object.entries(BPM_SITES).map(([siteId, site]) => (
+                            <label key={siteId} className="flex items-center gap-1">
+                              <input 
+                                type="checkbox"
+                                checked={(p.sites || []).includes(siteId)}
+                                onChange={(e) => updateProviderConfig(p.id, {
+                                  sites: e.target.checked ? [...(p.sites || []), siteId] : (p.sites || []).filter((id) => id !== siteId)
+                                })}
+                              />
+                              {site.name}
+                            </label>
+                          ))
+                        ) : p.type === "spotify" ? null : (p.type || "gemini") === "gemini" ? (
+                          <label className="flex items-center gap-1">
+                            <input 
+                              type="checkbox"
+                              checked={p.grounding !== false}
+                              onChange={(e) => updateProviderConfig(p.id, { grounding: e.target.checked })}
+                            />
+                            Search grounding
+                          </label>
+                        ) : (
+                          <label>Parallel
+                            <input 
+                              type="number" min={1} max={30}
+                              value={p.maxConcurrency}
+                              onChange={(e) => updateProviderConfig(p.id, { maxConcurrency: Math.max(1, parseInt(e.target.value || "1", 10)) })}
+                              className="w-14 ml-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                            />
+                          </label>
+                        )}
+                        {p.type !== "spotify" && (
+                          <label>Timeout (ms)
+                            <input 
+                              type="number" min={0} step={1000}
+                              value={p.timeoutMs}
+                              onChange={(e) => updateProviderConfig(p.id, { timeoutMs: parseInt(e.target.value || "0", 10) })}
+                              className="w-20 ml-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none text-slate-200 text-xs"
+                            />
+                          </label>
+                        )}
+                      </div>
+                      {p.type === "site" ? (
+                        <div className="mt-2 text-slate-400">
+                          <input 
+                            value={p.fetchBaseUrl}
+                            onChange={(e) => updateProviderConfig(p.id, { fetchBaseUrl: e.target.value })}
+                            className="w-full px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                            placeholder="Fetch base URL or CORS proxy, e.g. https://proxy.example/?url={url} ({url} is encoded; otherwise the page URL is appended)"
+                          />
+                          <div className="mt-1">Browsers can't read these sites directly, so set a proxy before enabling. Pages whose length differs from the track by more than 10s are ignored.</div>
+                        </div>
+                      ) : isLLMProvider(p) && (
+                        <textarea 
+                          value={p.promptTemplate}
+                          onChange={(e) => updateProviderConfig(p.id, { promptTemplate: e.target.value })}
+                          rows={2}
+                          className="w-full mt-2 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                          placeholder="Prompt template - {track} becomes the quoted title/artist data"
+                        />
+                      )}
+                      {p.type === "openai" && (
+                        <div className="mt-2 text-slate-400">
+                          <div className="flex items-center gap-2">
+                            <input 
+                              value={p.baseUrl}
+                              onChange={(e) => updateProviderConfig(p.id, { baseUrl: e.target.value })}
+                              className="flex-1 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                              placeholder="Base URL, e.g. https://api.openai.com/v1 or http://localhost:11434/v1"
+                            />
+                            <input 
+                              type="password"
+                              value={providerApiKeys[p.id] || ""}
+                              onChange={(e) => setProviderApiKeys((keys) => ({ ...keys, [p.id]: e.target.value }))}
+                              className="w-48 px-2 py-1 rounded bg-slate-800 border border-slate-600 outline-none focus:border-slate-400 text-slate-200 text-xs"
+                              placeholder="API key (blank for local servers)"
+                            />
+                          </div>
+                          <div className="mt-1">No search grounding: answers come from the model alone. Ollama needs OLLAMA_ORIGINS to allow this page's origin.</div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
           </div>
         </section>
         
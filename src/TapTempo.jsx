@@ -0,0 +1,72 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Taps further apart than this start a new measurement
+const RESET_AFTER_MS = 2000;
+// Average over the most recent taps so early mistakes drop out
+const MAX_TAPS = 8;
+
+export function bpmFromTaps(taps) {
+  if (taps.length < 2) return null;
+  const intervals = taps.slice(1).map((t, i) => t - taps[i]);
+  const avg = intervals.reduce((sum, ms) => sum + ms, 0) / intervals.length;
+  return Math.round((60000 / avg) * 10) / 10;
+}
+
+// Tap along with the song (button or spacebar) and report the tempo through onBpm
+export const TapTempo = ({ onBpm }) => {
+  const [taps, setTaps] = useState([]);
+  const tapsRef = useRef([]);
+  const onBpmRef = useRef(onBpm);
+  onBpmRef.current = onBpm;
+
+  const tap = () => {
+    const now = performance.now();
+    const prev = tapsRef.current;
+    const last = prev[prev.length - 1];
+    const next = last && now - last < RESET_AFTER_MS ? [...prev, now].slice(-MAX_TAPS) : [now];
+    tapsRef.current = next;
+    setTaps(next);
+    const bpm = bpmFromTaps(next);
+    if (bpm) onBpmRef.current?.(bpm);
+  };
+
+  const reset = () => {
+    tapsRef.current = [];
+    setTaps([]);
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.code !== 'Space' || e.repeat) return;
+      // Leave the spacebar alone while typing or on anything Space activates (the Tap button
+      // included: its own click counts the tap)
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName) || e.target?.isContentEditable) return;
+      if (e.target?.closest?.('button, a[href], summary, [role]')) return;
+      e.preventDefault();
+      tap();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const bpm = bpmFromTaps(taps);
+
+  return (
+    <div className="flex items-center gap-3">
+      <button
+        onClick={tap}
+        className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-500 transition-colors"
+      >
+        👆 Tap
+      </button>
+      <span className="text-slate-200">{bpm ? `${bpm} BPM` : 'Tap or press space along with the beat'}</span>
+      <span className="text-slate-500">{taps.length} taps</span>
+      <button
+        onClick={reset}
+        className="text-xs px-3 py-1 bg-slate-900/40 border border-slate-600/50 rounded-lg text-slate-200 hover:bg-slate-800/60 transition-colors"
+      >
+        Reset
+      </button>
+    </div>
+  );
+};
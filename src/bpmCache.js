@@ -0,0 +1,261 @@
+// =============================================================
+// Persistent BPM cache (IndexedDB)
+// Stores every resolved tempo keyed by Spotify track id so repeat
+// scans never spend Gemini quota on a track twice.
+// Record shape: { trackId, bpm, tier, model, sources[], confidence, updatedAt }
+// plus any extra fields the lookup produced (readings, octaveCorrected, ...)
+// Two more stores sit beside it: "overrides" holds BPMs the user entered by
+// hand (these win over any AI result) and "unresolved" holds tracks every
+// provider failed on, so they can be retried or filled in later.
+// Both tempo stores are indexed by ISRC so values imported from someone
+// else's library match the same recording under a different track id,
+// and by song key (normalized title + primary artist, see songIdentity.js)
+// so every release of a song shares one tempo.
+// =============================================================
+
+import { songKeysFor, isSameDuration } from "./songIdentity";
+
+const DB_NAME = "sporkify";
+const DB_VERSION = 4;
+const STORE = "bpm";
+const OVERRIDES_STORE = "overrides";
+const UNRESOLVED_STORE = "unresolved";
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of [STORE, OVERRIDES_STORE, UNRESOLVED_STORE]) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: "trackId" });
+        }
+      }
+      for (const name of [STORE, OVERRIDES_STORE]) {
+        const store = req.transaction.objectStore(name);
+        if (!store.indexNames.contains("isrc")) {
+          store.createIndex("isrc", "isrc");
+        }
+        if (!store.indexNames.contains("songKey")) {
+          store.createIndex("songKey", "songKey");
+          store.createIndex("songBaseKey", "songBaseKey");
+          // Records written before song keys existed get them from their title/artist
+          store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update(withSongKeys(cursor.value));
+            cursor.continue();
+          };
+        }
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((err) => {
+    // Allow a later call to retry opening
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+// Wrap a single object-store request in a promise
+async function withStore(mode, fn, storeName = STORE) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Song keys derived from the record's own title/artist, so they always agree with them
+const withSongKeys = (record) => (record.title ? { ...record, ...songKeysFor(record.title, record.artist) } : record);
+
+// Imported records keep their original updatedAt (merge rules need it) but age from the import.
+// Tempos measured from a local audio file never go stale.
+const isExpired = (record, ttlMs) =>
+  ttlMs > 0 && !record.localAnalysis && Date.now() - (record.importedAt || record.updatedAt || 0) > ttlMs;
+
+// Returns the cached record for a track, or null if missing/expired
+export async function getCachedBPM(trackId, ttlMs = 0) {
+  if (!trackId) return null;
+  try {
+    const record = await withStore("readonly", (store) => store.get(trackId));
+    if (!record || isExpired(record, ttlMs)) return null;
+    return record;
+  } catch (err) {
+    console.warn("BPM cache read failed:", err);
+    return null;
+  }
+}
+
+export async function putCachedBPM(trackId, data) {
+  if (!trackId) return;
+  try {
+    await withStore("readwrite", (store) => store.put(withSongKeys({
+      ...data,
+      trackId,
+      bpm: data.bpm,
+      tier: data.tier || null,
+      model: data.model || null,
+      sources: data.sources || [],
+      confidence: data.confidence ?? null,
+      updatedAt: Date.now(),
+    })));
+  } catch (err) {
+    console.warn("BPM cache write failed:", err);
+  }
+}
+
+// First record sharing this ISRC, or null
+async function getByIsrc(storeName, isrc) {
+  if (!isrc) return null;
+  try {
+    return (await withStore("readonly", (store) => store.index("isrc").get(isrc), storeName)) || null;
+  } catch (err) {
+    console.warn("ISRC lookup failed:", err);
+    return null;
+  }
+}
+
+export async function getCachedBPMByIsrc(isrc, ttlMs = 0) {
+  const record = await getByIsrc(STORE, isrc);
+  return record && !isExpired(record, ttlMs) ? record : null;
+}
+
+// First record of the same song (songIdentity's { songKey, songBaseKey, durationMs }) whose
+// length is within the tolerance; distinctVersions: false also matches live/remix versions
+async function getBySong(storeName, { songKey, songBaseKey, durationMs }, distinctVersions, accept = () => true) {
+  const indexName = distinctVersions ? "songKey" : "songBaseKey";
+  const key = distinctVersions ? songKey : songBaseKey;
+  if (!key) return null;
+  try {
+    const records = await withStore("readonly", (store) => store.index(indexName).getAll(key), storeName);
+    return (records || []).find((r) => isSameDuration(r.durationMs, durationMs) && accept(r)) || null;
+  } catch (err) {
+    console.warn("Song lookup failed:", err);
+    return null;
+  }
+}
+
+export const getCachedBPMBySong = (identity, ttlMs = 0, distinctVersions = true) =>
+  getBySong(STORE, identity, distinctVersions, (record) => !isExpired(record, ttlMs));
+
+export async function listCachedBPM() {
+  return (await withStore("readonly", (store) => store.getAll())) || [];
+}
+
+export async function countCachedBPM() {
+  try {
+    return await withStore("readonly", (store) => store.count());
+  } catch {
+    return 0;
+  }
+}
+
+export async function clearBPMCache() {
+  await withStore("readwrite", (store) => store.clear());
+}
+
+// -------------------- Manual overrides --------------------
+
+// { trackId, bpm, title, artist, updatedAt } or null
+export async function getBPMOverride(trackId) {
+  if (!trackId) return null;
+  try {
+    return (await withStore("readonly", (store) => store.get(trackId), OVERRIDES_STORE)) || null;
+  } catch (err) {
+    console.warn("BPM override read failed:", err);
+    return null;
+  }
+}
+
+export async function putBPMOverride(trackId, { bpm, title = "", artist = "", isrc = null, durationMs = null }) {
+  await withStore("readwrite", (store) => store.put(withSongKeys({ trackId, bpm, title, artist, isrc, durationMs, updatedAt: Date.now() })), OVERRIDES_STORE);
+}
+
+export const getBPMOverrideByIsrc = (isrc) => getByIsrc(OVERRIDES_STORE, isrc);
+
+export const getBPMOverrideBySong = (identity, distinctVersions = true) => getBySong(OVERRIDES_STORE, identity, distinctVersions);
+
+export async function listBPMOverrides() {
+  return (await withStore("readonly", (store) => store.getAll(), OVERRIDES_STORE)) || [];
+}
+
+export async function deleteBPMOverride(trackId) {
+  await withStore("readwrite", (store) => store.delete(trackId), OVERRIDES_STORE);
+}
+
+// -------------------- Unresolved tracks --------------------
+
+// track: the Spotify track object; only the fields needed to retry and display it are kept
+export async function markUnresolved(track) {
+  if (!track?.id) return;
+  try {
+    await withStore("readwrite", (store) => store.put({
+      trackId: track.id,
+      id: track.id,
+      uri: track.uri,
+      name: track.name,
+      artists: (track.artists || []).map((a) => ({ name: a?.name || a })),
+      album: track.album?.name ? { name: track.album.name } : null,
+      duration_ms: track.duration_ms,
+      external_ids: track.external_ids?.isrc ? { isrc: track.external_ids.isrc } : undefined,
+      failedAt: Date.now(),
+    }), UNRESOLVED_STORE);
+  } catch (err) {
+    console.warn("Unresolved write failed:", err);
+  }
+}
+
+export async function removeUnresolved(trackId) {
+  if (!trackId) return;
+  try {
+    await withStore("readwrite", (store) => store.delete(trackId), UNRESOLVED_STORE);
+  } catch (err) {
+    console.warn("Unresolved delete failed:", err);
+  }
+}
+
+export async function listUnresolved() {
+  try {
+    const records = await withStore("readonly", (store) => store.getAll(), UNRESOLVED_STORE);
+    return (records || []).sort((a, b) => b.failedAt - a.failedAt);
+  } catch {
+    return [];
+  }
+}
+
+// -------------------- Bulk import --------------------
+
+/**
+ * Write already-merged import results in one transaction.
+ * cache/overrides are full records (updatedAt preserved); removeOverrides lists
+ * track ids whose manual value lost to an imported provider value.
+ */
+export async function writeImportedRecords({ cache = [], overrides = [], removeOverrides = [] }) {
+  const db = await openDB();
+  const importedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE, OVERRIDES_STORE], "readwrite");
+    const bpmStore = tx.objectStore(STORE);
+    const overrideStore = tx.objectStore(OVERRIDES_STORE);
+    // Deletes first, so an override imported in the same file survives
+    removeOverrides.forEach((trackId) => overrideStore.delete(trackId));
+    cache.forEach((record) => bpmStore.put(withSongKeys({ ...record, importedAt })));
+    overrides.forEach((record) => overrideStore.put(withSongKeys({ ...record, importedAt })));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
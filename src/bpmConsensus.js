@@ -0,0 +1,87 @@
+// =============================================================
+// BPM consensus
+// Reconciles readings from several providers into one tempo with a
+// 0–1 confidence score. Readings roughly a factor of 2 apart are the
+// same tempo counted at a different octave (half/double-time errors).
+// =============================================================
+
+// Two readings within this relative difference are considered equal
+export const TEMPO_TOLERANCE = 0.04;
+// Confidence given to a tempo backed by a single, unconfirmed reading
+export const SINGLE_READING_CONFIDENCE = 0.5;
+// Octave matches count for less than exact matches
+const OCTAVE_WEIGHT = 0.75;
+
+const near = (a, b) => Math.abs(a - b) / Math.max(a, b) <= TEMPO_TOLERANCE;
+
+// "same" | "octave" | null
+export function compareTempos(a, b) {
+  if (near(a, b)) return "same";
+  if (near(a, b * 2) || near(a * 2, b)) return "octave";
+  return null;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((x, y) => x - y);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * readings: [{ bpm, providerId, tier, model, sources }]
+ * Returns { bpm, confidence, agreeing, octaveCorrected, readings } or null.
+ */
+export function reconcileReadings(readings) {
+  const valid = (readings || []).filter((r) => r && r.bpm > 0);
+  if (valid.length === 0) return null;
+  if (valid.length === 1) {
+    return {
+      bpm: valid[0].bpm,
+      confidence: SINGLE_READING_CONFIDENCE,
+      agreeing: [valid[0]],
+      octaveCorrected: false,
+      readings: valid,
+    };
+  }
+
+  // Score each reading as an anchor: how strongly do the others agree with it?
+  let best = null;
+  for (const anchor of valid) {
+    const same = [];
+    const octave = [];
+    for (const r of valid) {
+      const rel = compareTempos(anchor.bpm, r.bpm);
+      if (rel === "same") same.push(r);
+      else if (rel === "octave") octave.push(r);
+    }
+    const score = same.length + octave.length * OCTAVE_WEIGHT;
+    if (!best || score > best.score || (score === best.score && same.length > best.same.length)) {
+      best = { anchor, same, octave, score };
+    }
+  }
+
+  // Report the octave most readings used; half-tempo answers are the more
+  // common failure, so a tie goes to the faster octave
+  const slower = best.octave.filter((r) => r.bpm < best.anchor.bpm);
+  const faster = best.octave.filter((r) => r.bpm > best.anchor.bpm);
+  let group = best.same;
+  if (faster.length > best.same.length || (faster.length === best.same.length && faster.length > 0)) {
+    group = faster;
+  } else if (slower.length > best.same.length) {
+    group = slower;
+  }
+  const bpm = Math.round(median(group.map((r) => r.bpm)) * 10) / 10;
+  const agreeing = [...best.same, ...best.octave];
+  const octaveCorrected = best.octave.length > 0;
+
+  // Agreement share, scaled so two agreeing providers land around 0.8
+  const support = best.score / valid.length;
+  const breadth = Math.min(1, 0.6 + 0.2 * (agreeing.length - 1));
+  const confidence = agreeing.length > 1
+    ? Math.round(support * breadth * 100) / 100
+    : Math.round((SINGLE_READING_CONFIDENCE / valid.length) * 100) / 100;
+
+  console.log(`🤝 Consensus from ${valid.length} readings [${valid.map((r) => r.bpm).join(", ")}] → ${bpm} BPM (confidence ${confidence}${octaveCorrected ? ", octave-corrected" : ""})`);
+
+  return { bpm, confidence, agreeing, octaveCorrected, readings: valid };
+}
@@ -0,0 +1,264 @@
+// =============================================================
+// BPM reference sites, read directly
+// Resolves a song's page on SongBPM / Tunebat-style sites and parses
+// tempo, key and duration out of the HTML - no LLM involved, so a
+// well-known song costs one page fetch and always gets the same answer.
+// Browsers can't read these sites cross-origin, so requests go through
+// a configurable fetch base URL or CORS proxy.
+// =============================================================
+
+import { createRateController } from "./rateController";
+
+// Durations further apart than this mean the page is a different version of the song
+const DURATION_TOLERANCE_MS = 10000;
+
+// Confidence reported for a page that matched the song (and its duration, when known)
+const PAGE_CONFIDENCE = 0.9;
+
+// -------------------- HTML → text --------------------
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", sharp: "♯", flat: "♭" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// Visible text of a page, whitespace collapsed; scripts and styles dropped
+export function htmlToText(html) {
+  return decodeEntities(
+    String(html || "")
+      .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// -------------------- Parsers --------------------
+
+const firstMatch = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return match;
+  }
+  return null;
+};
+
+const NOTE = "[A-G](?:[#♯b♭])?";
+
+function parseDuration(text) {
+  const words = text.match(/(\d{1,2})\s*minutes?\s*(?:and\s*)?(\d{1,2})\s*seconds?/i);
+  if (words) return (Number(words[1]) * 60 + Number(words[2])) * 1000;
+  const clock = text.match(/duration[^0-9]{0,20}(\d{1,2}):(\d{2})\b/i);
+  if (clock) return (Number(clock[1]) * 60 + Number(clock[2])) * 1000;
+  return null;
+}
+
+function parseTempo(text) {
+  // "tempo of 148 BPM" first: the same pages also mention half- and double-time figures
+  const match = firstMatch(text, [
+    /tempo of\s*(\d{2,3}(?:\.\d+)?)\s*BPM/i,
+    /\bBPM\b\s*:?\s*(\d{2,3}(?:\.\d+)?)\b/i,
+    /(\d{2,3}(?:\.\d+)?)\s*BPM/i,
+  ]);
+  return match ? Number(match[1]) : null;
+}
+
+const formatKey = (note, mode) => (note ? `${note.replace("#", "♯")}${mode ? ` ${mode.toLowerCase()}` : ""}` : null);
+
+/**
+ * SongBPM song page: "... is in the key of C♯ Major. It has a tempo of 148 BPM
+ * ... runs for 3 minutes and 43 seconds".
+ * Returns { bpm, key, durationMs, text } with null for anything not found.
+ */
+export function parseSongBPMPage(html) {
+  const text = htmlToText(html);
+  const key = firstMatch(text, [
+    new RegExp(`key of\\s*(${NOTE})(?:\\/${NOTE})?\\s*(major|minor)?`, "i"),
+    new RegExp(`\\bKey\\b\\s*:?\\s*(${NOTE})(?:\\/${NOTE})?\\s*(major|minor)?`, "i"),
+  ]);
+  return { bpm: parseTempo(text), key: key ? formatKey(key[1], key[2]) : null, durationMs: parseDuration(text), text };
+}
+
+/**
+ * Tunebat info page: "... with a tempo of 148 BPM. It can also be used half-time
+ * at 74 BPM ... runs 3 minutes and 43 seconds long with a C♯/D♭ key and a major mode".
+ * Returns { bpm, key, durationMs, text } with null for anything not found.
+ */
+export function parseTunebatPage(html) {
+  const text = htmlToText(html);
+  const key = firstMatch(text, [
+    new RegExp(`with an?\\s*(${NOTE})(?:\\/${NOTE})?\\s*key and an?\\s*(major|minor)\\s*mode`, "i"),
+    new RegExp(`\\bKey\\b\\s*:?\\s*(${NOTE})(?:\\/${NOTE})?\\s*(major|minor)?`, "i"),
+  ]);
+  return { bpm: parseTempo(text), key: key ? formatKey(key[1], key[2]) : null, durationMs: parseDuration(text), text };
+}
+
+// -------------------- Sites --------------------
+
+const slug = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const titleSlug = (value) => slug(value).split("-").map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join("-");
+
+// Each site builds its page URL from what we know (null when it can't) and parses the page
+export const BPM_SITES = {
+  songbpm: {
+    name: "SongBPM",
+    domain: "songbpm.com",
+    pageUrl: ({ title, artist }) => `https://songbpm.com/@${slug(artist)}/${slug(title)}`,
+    parse: parseSongBPMPage,
+  },
+  tunebat: {
+    name: "Tunebat",
+    domain: "tunebat.com",
+    // Tunebat pages are keyed by Spotify track id; the slug is cosmetic
+    pageUrl: ({ title, artist, spotifyId }) => (spotifyId ? `https://tunebat.com/Info/${titleSlug(`${title} ${artist}`)}/${spotifyId}` : null),
+    parse: parseTunebatPage,
+  },
+};
+
+// "{url}" in the base is replaced with the encoded page URL; otherwise the page URL is appended as-is
+export function proxiedUrl(fetchBaseUrl, pageUrl) {
+  if (!fetchBaseUrl) return pageUrl;
+  return fetchBaseUrl.includes("{url}") ? fetchBaseUrl.replace("{url}", encodeURIComponent(pageUrl)) : `${fetchBaseUrl}${pageUrl}`;
+}
+
+// Does the page text mention the song title? Guards against search / "closest match" pages
+function mentionsTitle(text, title) {
+  const words = slug(title.replace(/\s*[([].*?[)\]]\s*/g, " ").replace(/\s+-\s+.*$/, "")).split("-").filter(Boolean);
+  const haystack = `-${slug(text)}-`;
+  return words.length > 0 && haystack.includes(`-${words.join("-")}-`);
+}
+
+const siteRateController = createRateController({ initialConcurrency: 4, maxConcurrency: 4 });
+
+async function fetchPage(url, { abortSignal, timeoutMs, label }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  abortSignal?.addEventListener("abort", abort);
+  const timer = timeoutMs > 0 ? setTimeout(abort, timeoutMs) : null;
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const err = new Error(`${label} failed: HTTP ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+    return await response.text();
+  } catch (err) {
+    if (abortSignal?.aborted) {
+      const cancelled = new Error(`Request cancelled mid-flight (${label})`);
+      cancelled.midFlight = true;
+      throw cancelled;
+    }
+    if (controller.signal.aborted) throw new Error(`${label} timed out after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    abortSignal?.removeEventListener("abort", abort);
+  }
+}
+
+/**
+ * Provider that reads the configured sites in order and answers from the
+ * first page that names the song, has a tempo and (when the track's
+ * duration is known) runs about as long as it.
+ * config: { sites: ["songbpm", "tunebat"], fetchBaseUrl, timeoutMs }
+ */
+export function createBPMSiteProvider(config) {
+  const tier = config.name.toUpperCase();
+  const sites = (config.sites || Object.keys(BPM_SITES)).map((id) => BPM_SITES[id]).filter(Boolean);
+
+  return {
+    id: config.id,
+    name: config.name,
+    config,
+    async lookup(title, artist, { abortSignal, trackHint = {} } = {}) {
+      const tried = [];
+      let attempted = 0;
+      let fetchErrors = 0;
+      for (const site of sites) {
+        const pageUrl = site.pageUrl({ title, artist, spotifyId: trackHint.spotifyId });
+        if (!pageUrl) continue;
+        attempted++;
+        const label = `${tier} (${site.name})`;
+        let html;
+        try {
+          html = await siteRateController.run(
+            () => fetchPage(proxiedUrl(config.fetchBaseUrl, pageUrl), { abortSignal, timeoutMs: Number(config.timeoutMs), label }),
+            { abortSignal, label },
+          );
+        } catch (err) {
+          if (err.midFlight || abortSignal?.aborted) throw err;
+          // One site blocking us (or the proxy failing for it) shouldn't hide the others.
+          // Site rate limits are not Gemini's: let the chain carry on to the LLM tiers
+          console.warn(`🌐 ${label} fetch failed:`, err.message);
+          tried.push(`${site.name}: ${err.message}`);
+          fetchErrors++;
+          continue;
+        }
+        if (!html) {
+          tried.push(`${site.name}: no page`);
+          continue;
+        }
+        const { bpm, key, durationMs, text } = site.parse(html);
+        console.log(`🌐 ${label} page for "${title}" by ${artist}: ${pageUrl}`);
+        console.log(`   Parsed BPM: ${bpm}, key: ${key}, duration: ${durationMs}ms`);
+        if (!mentionsTitle(text, title)) {
+          tried.push(`${site.name}: page is for a different song`);
+          continue;
+        }
+        if (bpm === null) {
+          tried.push(`${site.name}: no tempo on page`);
+          continue;
+        }
+        if (durationMs && trackHint.durationMs && Math.abs(durationMs - trackHint.durationMs) > DURATION_TOLERANCE_MS) {
+          tried.push(`${site.name}: page is ${Math.round(durationMs / 1000)}s long, track is ${Math.round(trackHint.durationMs / 1000)}s`);
+          continue;
+        }
+        return {
+          bpmText: `${site.name}: ${bpm} BPM${key ? `, ${key}` : ""}${durationMs ? `, ${Math.round(durationMs / 1000)}s` : ""}`,
+          bpm,
+          key,
+          energy: null,
+          sources: [pageUrl],
+          searchQueries: [],
+          modelConfidence: PAGE_CONFIDENCE,
+          reportedSources: [pageUrl],
+          sourceDomains: [site.domain],
+          notes: "",
+        };
+      }
+      // Every site errored: report a failed call rather than "no answer"
+      if (attempted > 0 && fetchErrors === attempted) throw new Error(`${tier}: ${tried.join("; ")}`);
+      const reason = tried.length > 0 ? tried.join("; ") : "no site page for this track";
+      return {
+        bpmText: reason,
+        bpm: null,
+        key: null,
+        energy: null,
+        sources: [],
+        searchQueries: [],
+        modelConfidence: null,
+        reportedSources: [],
+        sourceDomains: [],
+        notes: "",
+        rejectReason: reason,
+      };
+    },
+  };
+}
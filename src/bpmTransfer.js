@@ -0,0 +1,188 @@
+// =============================================================
+// BPM database export / import
+// Lets people with overlapping libraries share tempos instead of each
+// spending Gemini quota on the same songs. One row per stored value:
+// provider results from the cache and manual overrides (manual: true).
+// Imported rows land in the same stores lookups already check first.
+// =============================================================
+
+import { listCachedBPM, listBPMOverrides, writeImportedRecords } from "./bpmCache";
+import { toCamelot } from "./musicalKey";
+
+export const EXPORT_COLUMNS = ["trackId", "isrc", "title", "artist", "bpm", "tier", "confidence", "manual", "key", "energy", "updatedAt"];
+
+export const MERGE_POLICIES = {
+  manual: "Prefer manual",
+  newer: "Prefer newer",
+  confidence: "Prefer higher confidence",
+};
+
+const toRow = (record, manual) => ({
+  trackId: record.trackId,
+  isrc: record.isrc || "",
+  title: record.title || "",
+  artist: record.artist || "",
+  bpm: record.bpm,
+  tier: manual ? "MANUAL" : record.tier || "",
+  confidence: manual ? 1 : record.confidence ?? "",
+  manual,
+  key: record.key || "",
+  energy: record.energy ?? "",
+  updatedAt: record.updatedAt || 0,
+});
+
+export async function collectExportRows() {
+  const [cached, overrides] = await Promise.all([listCachedBPM(), listBPMOverrides()]);
+  return [...cached.map((r) => toRow(r, false)), ...overrides.map((r) => toRow(r, true))];
+}
+
+// -------------------- CSV --------------------
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function rowsToCSV(rows) {
+  return [EXPORT_COLUMNS.join(","), ...rows.map((row) => EXPORT_COLUMNS.map((c) => csvCell(row[c])).join(","))].join("\n");
+}
+
+// RFC 4180-style parser: quoted cells may contain commas, quotes ("") and newlines
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  const [header, ...body] = rows.filter((r) => r.some((c) => c !== ""));
+  if (!header) return [];
+  return body.map((cells) => Object.fromEntries(header.map((name, i) => [name.trim(), cells[i] ?? ""])));
+}
+
+// -------------------- Import --------------------
+
+const toNumber = (value) => (value === "" || value === null || value === undefined ? null : Number(value));
+
+// Normalize a JSON or CSV row; returns null for rows without a usable id and tempo
+function normalizeRow(raw) {
+  const bpm = toNumber(raw.bpm);
+  if (!raw.trackId || !Number.isFinite(bpm) || bpm <= 0 || bpm >= 300) return null;
+  const manual = raw.manual === true || String(raw.manual).toLowerCase() === "true";
+  return {
+    trackId: String(raw.trackId),
+    isrc: raw.isrc || null,
+    title: raw.title || "",
+    artist: raw.artist || "",
+    bpm,
+    tier: manual ? "MANUAL" : raw.tier || "IMPORTED",
+    confidence: manual ? 1 : toNumber(raw.confidence),
+    manual,
+    key: raw.key || null,
+    energy: toNumber(raw.energy),
+    updatedAt: toNumber(raw.updatedAt) || 0,
+  };
+}
+
+// JSON (array, or { tracks: [...] }) or CSV, detected from the content
+export function parseImport(text) {
+  const trimmed = text.trim();
+  let rows;
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.tracks || [];
+  } else {
+    rows = parseCSV(trimmed);
+  }
+  return rows.map(normalizeRow).filter(Boolean);
+}
+
+// Should an incoming row replace what is stored for the same track?
+function shouldReplace(existing, incoming, policy) {
+  if (!existing) return true;
+  const newer = incoming.updatedAt > (existing.updatedAt || 0);
+  if (policy === "manual") {
+    return incoming.manual !== existing.manual ? incoming.manual : newer;
+  }
+  if (policy === "confidence") {
+    const a = incoming.confidence ?? 0;
+    const b = existing.confidence ?? 0;
+    return a !== b ? a > b : newer;
+  }
+  return newer;
+}
+
+/**
+ * Merge parsed rows into the local database.
+ * policy: "manual" | "newer" | "confidence"
+ * The stored cache and overrides are read once and merged in memory; a track
+ * listed twice in the file is merged by the same policy. Returns { imported, skipped } counts.
+ */
+export async function importRows(rows, policy = "manual") {
+  const [storedCache, storedOverrides] = await Promise.all([listCachedBPM(), listBPMOverrides()]);
+  const cached = new Map(storedCache.map((r) => [r.trackId, r]));
+  const overrides = new Map(storedOverrides.map((r) => [r.trackId, r]));
+  const cacheWrites = new Map();
+  const overrideWrites = new Map();
+  const removeOverrides = new Set();
+  let imported = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const override = overrides.get(row.trackId);
+    const cachedRecord = cached.get(row.trackId);
+    const existing = override ? { ...override, manual: true, confidence: 1 } : cachedRecord ? { ...cachedRecord, manual: false } : null;
+    if (!shouldReplace(existing, row, policy)) {
+      skipped++;
+      continue;
+    }
+    imported++;
+    const { manual, ...record } = row;
+    if (manual) {
+      const next = { trackId: record.trackId, bpm: record.bpm, title: record.title, artist: record.artist, isrc: record.isrc, updatedAt: record.updatedAt };
+      overrides.set(record.trackId, next);
+      overrideWrites.set(record.trackId, next);
+      removeOverrides.delete(record.trackId);
+    } else {
+      const next = { ...record, camelot: toCamelot(record.key), sources: [], imported: true };
+      cached.set(record.trackId, next);
+      cacheWrites.set(record.trackId, next);
+      if (override) {
+        overrides.delete(record.trackId);
+        overrideWrites.delete(record.trackId);
+        removeOverrides.add(record.trackId);
+      }
+    }
+  }
+
+  await writeImportedRecords({ cache: [...cacheWrites.values()], overrides: [...overrideWrites.values()], removeOverrides: [...removeOverrides] });
+  return { imported, skipped };
+}
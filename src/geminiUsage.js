@@ -0,0 +1,131 @@
+// =============================================================
+// Gemini usage metering and budget
+// Every generateContent call is recorded with its token usage, model and
+// tier. Totals are kept for the current scan (in memory) and for today
+// (localStorage, reset at local midnight). A budget caps calls/tokens per
+// scan and per day; 0 means unlimited. A call is reserved when it passes
+// the budget check and settled when it is recorded, so concurrent calls
+// can't overshoot the call limits; tokens are only known afterwards, so
+// the token limits stop new calls once reached.
+// =============================================================
+
+const USAGE_KEY = "gemini_usage_daily";
+const BUDGET_KEY = "gemini_budget";
+
+export const DEFAULT_BUDGET = { scanCalls: 0, scanTokens: 0, dayCalls: 0, dayTokens: 0 };
+
+const today = () => new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD, local time
+
+const emptyTotals = () => ({ calls: 0, failedCalls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, byTier: {} });
+
+function loadDailyUsage() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USAGE_KEY) || "null");
+    if (stored && stored.date === today()) return stored;
+  } catch {
+    // Corrupt entry: start the day over
+  }
+  return { date: today(), ...emptyTotals() };
+}
+
+export function loadBudget() {
+  try {
+    return { ...DEFAULT_BUDGET, ...JSON.parse(localStorage.getItem(BUDGET_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_BUDGET };
+  }
+}
+
+let budget = loadBudget();
+let dayTotals = loadDailyUsage();
+let scanTotals = emptyTotals();
+// Calls that passed assertWithinBudget and haven't been recorded yet
+let reservedCalls = 0;
+const listeners = new Set();
+
+export const getUsageSnapshot = () => ({ scan: scanTotals, day: dayTotals, budget });
+
+const emit = () => {
+  const snap = getUsageSnapshot();
+  listeners.forEach((listener) => listener(snap));
+};
+
+export function subscribeUsage(listener) {
+  listeners.add(listener);
+  listener(getUsageSnapshot());
+  return () => listeners.delete(listener);
+}
+
+export function saveBudget(next) {
+  budget = { ...DEFAULT_BUDGET, ...next };
+  localStorage.setItem(BUDGET_KEY, JSON.stringify(budget));
+  emit();
+}
+
+// Called when findMatchingSongs / loadCandidates starts a new scan
+export function startScanUsage() {
+  scanTotals = emptyTotals();
+  emit();
+}
+
+export function resetDailyUsage() {
+  dayTotals = { date: today(), ...emptyTotals() };
+  localStorage.setItem(USAGE_KEY, JSON.stringify(dayTotals));
+  emit();
+}
+
+function addTo(totals, { model, tier, usage, failed }) {
+  const promptTokens = usage?.promptTokenCount || 0;
+  const outputTokens = usage?.candidatesTokenCount || 0;
+  const totalTokens = usage?.totalTokenCount || promptTokens + outputTokens;
+  const byTier = totals.byTier[tier] || { model, calls: 0, totalTokens: 0 };
+  return {
+    ...totals,
+    calls: totals.calls + 1,
+    failedCalls: totals.failedCalls + (failed ? 1 : 0),
+    promptTokens: totals.promptTokens + promptTokens,
+    outputTokens: totals.outputTokens + outputTokens,
+    totalTokens: totals.totalTokens + totalTokens,
+    byTier: { ...totals.byTier, [tier]: { model, calls: byTier.calls + 1, totalTokens: byTier.totalTokens + totalTokens } },
+  };
+}
+
+/**
+ * Record one generateContent call.
+ * usage is the response's usageMetadata ({ promptTokenCount, candidatesTokenCount, totalTokenCount });
+ * failed calls are still counted, with whatever usage is known (usually none).
+ */
+export function recordUsage({ model, tier, usage = null, failed = false }) {
+  reservedCalls = Math.max(0, reservedCalls - 1);
+  if (dayTotals.date !== today()) dayTotals = { date: today(), ...emptyTotals() };
+  const call = { model, tier: tier || "UNKNOWN", usage, failed };
+  scanTotals = addTo(scanTotals, call);
+  dayTotals = addTo(dayTotals, call);
+  localStorage.setItem(USAGE_KEY, JSON.stringify(dayTotals));
+  emit();
+}
+
+// Human-readable reason the budget is spent, or null if calls may continue; calls in flight count as made
+export function budgetExceededReason() {
+  if (dayTotals.date !== today()) dayTotals = { date: today(), ...emptyTotals() };
+  const checks = [
+    [budget.scanCalls, scanTotals.calls + reservedCalls, "calls this scan"],
+    [budget.scanTokens, scanTotals.totalTokens, "tokens this scan"],
+    [budget.dayCalls, dayTotals.calls + reservedCalls, "calls today"],
+    [budget.dayTokens, dayTotals.totalTokens, "tokens today"],
+  ];
+  const hit = checks.find(([limit, used]) => limit > 0 && used >= limit);
+  return hit ? `${hit[1]}/${hit[0]} ${hit[2]}` : null;
+}
+
+// Throws an error flagged budgetExceeded when no more calls are allowed; otherwise reserves
+// one call, which the caller must settle with recordUsage whether the call succeeds or fails
+export function assertWithinBudget() {
+  const reason = budgetExceededReason();
+  if (reason) {
+    const err = new Error(`Gemini budget exhausted (${reason})`);
+    err.budgetExceeded = true;
+    throw err;
+  }
+  reservedCalls++;
+}
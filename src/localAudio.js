@@ -0,0 +1,150 @@
+// =============================================================
+// Local audio files
+// Tracks no provider could resolve can be dropped in as MP3/FLAC/WAV
+// files. Each file is decoded with the Web Audio API, its tempo detected
+// in the browser (tempoDetector.js) and matched to a Spotify track by
+// its ISRC tag, else by title, artist and duration - from its tags when
+// it has them, from its file name otherwise. The result is stored like
+// any provider answer, with high confidence when the detector found a
+// clear beat.
+// =============================================================
+
+import { detectTempo } from "./tempoDetector";
+import { readAudioTags } from "./localLibrary";
+
+export const AUDIO_FILE_ACCEPT = ".mp3,.flac,.wav,.ogg,.m4a,audio/*";
+
+// Confidence for a measured tempo with a clear beat; a tempo that drifts is only an average.
+// Scaled down with the detector's own confidence, to half of this for a barely-there peak.
+const STABLE_CONFIDENCE = 0.95;
+const DRIFTING_CONFIDENCE = 0.8;
+// Files further than this from the track's length are a different recording
+const DURATION_TOLERANCE_MS = 5000;
+
+// "01 - Artist - Title.mp3", "Artist - Title.flac" or "Title.wav"
+export function metadataFromFileName(fileName) {
+  const base = fileName.replace(/\.[^.]+$/, "").replace(/_/g, " ").trim();
+  const parts = base.split(/\s+-\s+/).map((part) => part.trim()).filter(Boolean);
+  if (parts.length > 1 && /^\d{1,3}$/.test(parts[0])) parts.shift();
+  else if (parts.length > 0) parts[0] = parts[0].replace(/^\d{1,3}[.\s]+(?=\D)/, "");
+  if (parts.length >= 2) return { artist: parts[0], title: parts.slice(1).join(" - ") };
+  return { artist: "", title: parts[0] || base };
+}
+
+// Lowercase, accents and "(Remastered)" / " - Live" suffixes dropped, punctuation to spaces
+export const normalizeName = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s*[([].*?[)\]]\s*/g, " ")
+    .replace(/\s+-\s+.*$/, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+function scoreMatch({ title, artist, durationMs }, track) {
+  if (!title || normalizeName(track.name) !== normalizeName(title)) return 0;
+  const trackDuration = track.duration_ms;
+  if (durationMs && trackDuration && Math.abs(durationMs - trackDuration) > DURATION_TOLERANCE_MS) return 0;
+  const artists = (track.artists || []).map((a) => normalizeName(a?.name ?? a));
+  let score = 1;
+  if (artist) score += artists.includes(normalizeName(artist)) ? 2 : -1;
+  if (durationMs && trackDuration) score += 1;
+  return score;
+}
+
+// Best-scoring track for one { title, artist, durationMs } reading, with its score
+function bestByName(reading, tracks) {
+  let best = null;
+  let bestScore = 0;
+  for (const track of tracks) {
+    const score = scoreMatch(reading, track);
+    if (score > bestScore) {
+      best = track;
+      bestScore = score;
+    }
+  }
+  return { track: best, score: bestScore };
+}
+
+/**
+ * Best Spotify track for a file's { isrc, tags, title, artist, durationMs }:
+ * a track with the file's ISRC wins outright, then the title and artist
+ * tags are tried, then the file name's reading (title/artist). By name,
+ * the title must match, a duration more than 5 s off rules a track out,
+ * and artist and duration agreement rank the rest. "Title - Artist" file
+ * names are tried the other way round too. Returns the track or null.
+ */
+export function matchTrack({ isrc = "", tags = null, ...meta }, tracks) {
+  const wantedIsrc = isrc.trim().toUpperCase();
+  if (wantedIsrc) {
+    const byIsrc = tracks.find((track) => track.external_ids?.isrc?.toUpperCase() === wantedIsrc);
+    if (byIsrc) return byIsrc;
+  }
+  if (tags?.title) {
+    const { track } = bestByName({ ...tags, durationMs: meta.durationMs }, tracks);
+    if (track) return track;
+  }
+  const readings = [meta, meta.artist ? { ...meta, title: meta.artist, artist: meta.title } : null].filter(Boolean);
+  const [best] = readings.map((reading) => bestByName(reading, tracks)).sort((a, b) => b.score - a.score);
+  return best.track;
+}
+
+// ISRC and title/artist tags for matchTrack; empty when the file has none
+export async function readMatchTags(file) {
+  const { title, artist, isrc } = await readAudioTags(file, { probeDuration: false });
+  return { isrc, tags: title ? { title, artist } : null };
+}
+
+/**
+ * Decode a file and detect its tempo.
+ * Resolves to { fileName, title, artist, durationMs, tempo } where tempo is
+ * detectTempo's { bpm, confidence, stable, windowBpms, range } or null.
+ * Rejects with a "cancelled" error once abortSignal fires.
+ */
+export async function analyzeAudioFile(file, { abortSignal = null } = {}) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) throw new Error("This browser can't decode audio (no Web Audio API)");
+  // Checked between the read, decode and detect steps; none of them can be interrupted
+  const checkCancelled = () => {
+    if (abortSignal?.aborted) throw new Error(`Audio analysis cancelled (${file.name})`);
+  };
+  checkCancelled();
+  const context = new AudioContextClass();
+  try {
+    const data = await file.arrayBuffer();
+    checkCancelled();
+    const buffer = await context.decodeAudioData(data);
+    checkCancelled();
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    return {
+      fileName: file.name,
+      ...metadataFromFileName(file.name),
+      durationMs: Math.round(buffer.duration * 1000),
+      tempo: detectTempo(channels, buffer.sampleRate),
+    };
+  } finally {
+    context.close?.();
+  }
+}
+
+// BPM record for a matched analysis, in the shape the cache and review step expect
+export function localAnalysisRecord({ fileName, durationMs, tempo }) {
+  const { bpm, confidence, stable, windowBpms, range } = tempo;
+  return {
+    bpm,
+    key: null,
+    camelot: null,
+    energy: null,
+    confidence: Math.round((stable ? STABLE_CONFIDENCE : DRIFTING_CONFIDENCE) * (0.5 + Math.min(1, confidence) / 2) * 100) / 100,
+    tier: "AUDIO",
+    model: "onset autocorrelation",
+    sources: [],
+    reportedSources: [],
+    searchQueries: [],
+    grounded: false,
+    rawText: `Detected ${bpm} BPM in ${fileName} (${stable ? "stable" : `drifts ${range[0]}-${range[1]}`}, detector confidence ${confidence})`,
+    localAnalysis: { fileName, durationMs, stable, range, windowBpms, detectorConfidence: confidence },
+  };
+}
@@ -0,0 +1,352 @@
+// =============================================================
+// Local music library
+// A folder of audio files stands in for the Spotify library: tags
+// (ID3v2/ID3v1 in MP3s, Vorbis comments in FLAC/Ogg/Opus) give title,
+// artist, duration and often BPM and key. Tracks are shaped like Spotify
+// tracks so the wizard can scan them the same way, and the finished
+// selection is written out as an M3U8 or XSPF playlist of relative paths.
+// =============================================================
+
+import { toCamelot } from "./musicalKey";
+
+export const LIBRARY_EXTENSIONS = ["mp3", "flac", "ogg", "oga", "opus", "m4a", "aac", "wav"];
+
+// A BPM someone typed into their tagger; trusted a little less than a measured one
+const TAG_CONFIDENCE = 0.85;
+// Tags outside this range are junk (0, or a tap that doubled twice)
+const TAG_BPM_RANGE = [40, 250];
+// Give up on <audio> metadata after this long and leave the duration unknown
+const DURATION_PROBE_TIMEOUT_MS = 10000;
+
+const extensionOf = (name) => (name.match(/\.([^./]+)$/)?.[1] || "").toLowerCase();
+export const isAudioFileName = (name) => LIBRARY_EXTENSIONS.includes(extensionOf(name));
+
+async function readBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+// -------------------- Text decoding --------------------
+
+const latin1 = new TextDecoder("latin1");
+const utf8 = new TextDecoder("utf-8");
+
+// ID3 text frames: first byte is the encoding, values may be NUL-separated lists
+function decodeID3Text(bytes) {
+  const encoding = bytes[0];
+  const body = bytes.subarray(1);
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    const bigEndian = encoding === 2 || (body[0] === 0xfe && body[1] === 0xff);
+    const hasBom = (body[0] === 0xff && body[1] === 0xfe) || (body[0] === 0xfe && body[1] === 0xff);
+    text = new TextDecoder(bigEndian ? "utf-16be" : "utf-16le").decode(body.subarray(hasBom ? 2 : 0));
+  } else {
+    text = (encoding === 3 ? utf8 : latin1).decode(body);
+  }
+  return text.split("\0")[0].trim();
+}
+
+const syncsafe = (b, i) => (b[i] << 21) | (b[i + 1] << 14) | (b[i + 2] << 7) | b[i + 3];
+const uint32 = (b, i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+const uint32le = (b, i) => (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) >>> 0;
+
+// -------------------- ID3 (MP3) --------------------
+
+// Frame ids we care about; ID3v2.2 uses three-letter ids
+const ID3_FRAMES = {
+  TIT2: "title", TT2: "title",
+  TPE1: "artist", TP1: "artist",
+  TALB: "album", TAL: "album",
+  TBPM: "bpm", TBP: "bpm",
+  TKEY: "key", TKE: "key",
+  TLEN: "length", TLE: "length",
+  TSRC: "isrc", TRC: "isrc",
+};
+
+async function readID3v2(file) {
+  const header = await readBytes(file, 0, 10);
+  if (latin1.decode(header.subarray(0, 3)) !== "ID3") return null;
+  const version = header[3];
+  const tagSize = syncsafe(header, 6);
+  const bytes = await readBytes(file, 10, 10 + tagSize);
+
+  let offset = 0;
+  if (header[5] & 0x40 && version >= 3) {
+    // Extended header: v2.4 counts its own size field, v2.3 doesn't
+    offset = version === 4 ? syncsafe(bytes, 0) : uint32(bytes, 0) + 4;
+  }
+
+  const tags = {};
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  while (offset + headerLength <= bytes.length) {
+    const id = latin1.decode(bytes.subarray(offset, offset + idLength));
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+    const size =
+      version === 2 ? (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5]
+      : version === 4 ? syncsafe(bytes, offset + 4)
+      : uint32(bytes, offset + 4);
+    const start = offset + headerLength;
+    const field = ID3_FRAMES[id];
+    if (field && size > 1 && !tags[field]) tags[field] = decodeID3Text(bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+  return {
+    title: tags.title || "",
+    artist: tags.artist || "",
+    album: tags.album || "",
+    bpm: tags.bpm || "",
+    key: tags.key || "",
+    isrc: tags.isrc || "",
+    durationMs: Number(tags.length) > 0 ? Number(tags.length) : null,
+  };
+}
+
+// The 128-byte ID3v1 block at the end of older MP3s
+async function readID3v1(file) {
+  if (file.size < 128) return null;
+  const bytes = await readBytes(file, file.size - 128, file.size);
+  if (latin1.decode(bytes.subarray(0, 3)) !== "TAG") return null;
+  const field = (start, length) => latin1.decode(bytes.subarray(start, start + length)).split("\0")[0].trim();
+  return { title: field(3, 30), artist: field(33, 30), album: field(63, 30) };
+}
+
+// -------------------- Vorbis comments (FLAC, Ogg, Opus) --------------------
+
+// "TITLE=..." pairs after a vendor string, all little-endian length-prefixed
+function parseVorbisComments(bytes, offset = 0) {
+  const comments = {};
+  offset += 4 + uint32le(bytes, offset);
+  const count = uint32le(bytes, offset);
+  offset += 4;
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = uint32le(bytes, offset);
+    offset += 4;
+    const entry = utf8.decode(bytes.subarray(offset, offset + length));
+    offset += length;
+    const eq = entry.indexOf("=");
+    if (eq > 0) {
+      const name = entry.slice(0, eq).toUpperCase();
+      if (!(name in comments)) comments[name] = entry.slice(eq + 1).trim();
+    }
+  }
+  return {
+    title: comments.TITLE || "",
+    artist: comments.ARTIST || comments.ALBUMARTIST || "",
+    album: comments.ALBUM || "",
+    bpm: comments.BPM || comments.TEMPO || "",
+    key: comments.INITIALKEY || comments.KEY || "",
+    isrc: comments.ISRC || "",
+  };
+}
+
+async function readFlacTags(file) {
+  const magic = await readBytes(file, 0, 4);
+  if (latin1.decode(magic) !== "fLaC") return null;
+  let tags = {};
+  let durationMs = null;
+  let offset = 4;
+  for (let last = false; !last && offset + 4 <= file.size; ) {
+    const header = await readBytes(file, offset, offset + 4);
+    last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    offset += 4;
+    if (type === 0) {
+      // STREAMINFO: 20-bit sample rate, then 36-bit total sample count
+      const info = await readBytes(file, offset, offset + length);
+      const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+      const totalSamples = (info[13] & 0x0f) * 2 ** 32 + uint32(info, 14);
+      if (sampleRate > 0 && totalSamples > 0) durationMs = Math.round((totalSamples / sampleRate) * 1000);
+    } else if (type === 4) {
+      tags = parseVorbisComments(await readBytes(file, offset, offset + length));
+    }
+    // Pictures and padding are skipped without reading them
+    offset += length;
+  }
+  return { ...tags, durationMs };
+}
+
+const OGG_COMMENT_MARKERS = ["\x03vorbis", "OpusTags"];
+
+// The comment packet sits near the start; a huge one (embedded cover art) spans
+// pages, but the text fields come before the picture so the first page is enough
+async function readOggTags(file) {
+  const bytes = await readBytes(file, 0, 256 * 1024);
+  if (latin1.decode(bytes.subarray(0, 4)) !== "OggS") return null;
+  const text = latin1.decode(bytes);
+  for (const marker of OGG_COMMENT_MARKERS) {
+    const at = text.indexOf(marker);
+    if (at >= 0) {
+      try {
+        return parseVorbisComments(bytes, at + marker.length);
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Length from the browser's own demuxer, for files whose tags don't carry it
+function probeDuration(file) {
+  return new Promise((resolve) => {
+    const audio = document.createElement("audio");
+    const url = URL.createObjectURL(file);
+    const done = (durationMs) => {
+      clearTimeout(timer);
+      URL.revokeObjectURL(url);
+      audio.removeAttribute("src");
+      resolve(durationMs);
+    };
+    const timer = setTimeout(() => done(null), DURATION_PROBE_TIMEOUT_MS);
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () => done(Number.isFinite(audio.duration) ? Math.round(audio.duration * 1000) : null);
+    audio.onerror = () => done(null);
+    audio.src = url;
+  });
+}
+
+/**
+ * Tags of one audio file: { title, artist, album, bpm, key, isrc, durationMs },
+ * empty strings / null for anything the file doesn't say. Without a length
+ * tag the duration is probed through an <audio> element unless probeDuration is false.
+ */
+export async function readAudioTags(file, { probeDuration: probe = true } = {}) {
+  const ext = extensionOf(file.name);
+  let tags = null;
+  try {
+    if (ext === "flac") tags = await readFlacTags(file);
+    else if (ext === "ogg" || ext === "oga" || ext === "opus") tags = await readOggTags(file);
+    else if (ext === "mp3") tags = (await readID3v2(file)) || (await readID3v1(file));
+  } catch (err) {
+    console.warn(`🏷️ Could not read tags from "${file.name}":`, err.message);
+  }
+  const result = { title: "", artist: "", album: "", bpm: "", key: "", isrc: "", durationMs: null, ...tags };
+  if (!result.durationMs && probe) result.durationMs = await probeDuration(file);
+  return result;
+}
+
+// "128", "128.00" or "128 BPM"; null when missing or implausible
+export function parseTagBPM(value) {
+  const bpm = parseFloat(String(value || "").replace(",", "."));
+  if (!Number.isFinite(bpm) || bpm < TAG_BPM_RANGE[0] || bpm > TAG_BPM_RANGE[1]) return null;
+  return Math.round(bpm * 10) / 10;
+}
+
+// -------------------- Library --------------------
+
+// Path below the folder the user picked, "/"-separated
+const relativePathOf = (file, path) => (path || file.webkitRelativePath || file.name).split("/").slice(path ? 0 : 1).join("/") || file.name;
+
+// Files from an <input webkitdirectory> (or a plain multi-file input)
+export const entriesFromFileList = (fileList) => Array.from(fileList || []).map((file) => ({ file, path: null }));
+
+// Files from showDirectoryPicker(), walked recursively with paths relative to the picked folder
+export async function entriesFromDirectoryHandle(handle, prefix = "") {
+  const entries = [];
+  for await (const child of handle.values()) {
+    const path = prefix ? `${prefix}/${child.name}` : child.name;
+    if (child.kind === "directory") entries.push(...(await entriesFromDirectoryHandle(child, path)));
+    else entries.push({ file: await child.getFile(), path });
+  }
+  return entries;
+}
+
+/**
+ * Read the tags of every audio file and shape each one like a Spotify track:
+ * { id: "local:<path>", name, artists: [{ name }], album, duration_ms, uri: <path>,
+ *   external_ids, added_at, sourcePlaylist, local: { file, path, bpm, key } }.
+ * Untagged files fall back to their file name. onProgress(done, total) after each file.
+ */
+export async function loadLocalLibrary(entries, { fallbackMetadata, onProgress } = {}) {
+  const audio = entries.filter(({ file }) => isAudioFileName(file.name));
+  const tracks = [];
+  for (const { file, path } of audio) {
+    const relativePath = relativePathOf(file, path);
+    const tags = await readAudioTags(file);
+    const fromName = fallbackMetadata ? fallbackMetadata(file.name) : { title: file.name, artist: "" };
+    const folder = relativePath.includes("/") ? relativePath.split("/").slice(0, -1).join("/") : "Local files";
+    tracks.push({
+      id: `local:${relativePath}`,
+      name: tags.title || fromName.title,
+      artists: [{ name: tags.artist || fromName.artist || "Unknown Artist" }],
+      album: { name: tags.album || folder },
+      duration_ms: tags.durationMs || 0,
+      uri: relativePath,
+      external_ids: tags.isrc ? { isrc: tags.isrc.toUpperCase() } : {},
+      added_at: new Date(file.lastModified || 0).toISOString(),
+      sourcePlaylist: folder,
+      local: { file, path: relativePath, bpm: parseTagBPM(tags.bpm), key: tags.key || null },
+    });
+    onProgress?.(tracks.length, audio.length);
+  }
+  return tracks;
+}
+
+// BPM record for a tempo read from a file's tags, in the shape lookups return
+export function tagBPMRecord(track) {
+  const { bpm, key, path } = track.local;
+  return {
+    bpm,
+    key,
+    camelot: toCamelot(key),
+    energy: null,
+    confidence: TAG_CONFIDENCE,
+    tier: "TAG",
+    model: "file tag",
+    sources: [],
+    reportedSources: [],
+    searchQueries: [],
+    grounded: false,
+    rawText: `BPM tag in ${path}: ${bpm}${key ? `, key ${key}` : ""}`,
+  };
+}
+
+// -------------------- Playlist files --------------------
+
+const escapeXML = (value) =>
+  String(value ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+
+const artistOf = (track) => track.artists?.[0]?.name || "Unknown Artist";
+
+// Extended M3U with UTF-8 paths relative to the library folder
+export function toM3U8(name, tracks) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${name}`];
+  for (const track of tracks) {
+    lines.push(`#EXTINF:${Math.round((track.duration_ms || 0) / 1000) || -1},${artistOf(track)} - ${track.name}`);
+    lines.push(track.uri);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// XSPF with relative, percent-encoded locations and the tempo as an annotation
+export function toXSPF(name, tracks) {
+  const items = tracks.map((track) => {
+    const location = track.uri.split("/").map(encodeURIComponent).join("/");
+    return [
+      "    <track>",
+      `      <location>${escapeXML(location)}</location>`,
+      `      <title>${escapeXML(track.name)}</title>`,
+      `      <creator>${escapeXML(artistOf(track))}</creator>`,
+      track.album?.name ? `      <album>${escapeXML(track.album.name)}</album>` : null,
+      track.duration_ms ? `      <duration>${Math.round(track.duration_ms)}</duration>` : null,
+      track.tempo ? `      <annotation>${escapeXML(`${track.tempo.toFixed(1)} BPM`)}</annotation>` : null,
+      "    </track>",
+    ].filter(Boolean).join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXML(name)}</title>`,
+    "  <trackList>",
+    ...items,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].join("\n");
+}
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { label: "M3U8", mimeType: "audio/x-mpegurl", render: toM3U8 },
+  xspf: { label: "XSPF", mimeType: "application/xspf+xml", render: toXSPF },
+};
@@ -0,0 +1,82 @@
+// =============================================================
+// Musical keys and the Camelot wheel
+// Keys come back from the providers as free text ("F# minor", "Bbm",
+// "8A"); they are normalized to Camelot codes so compatibility is just
+// arithmetic on the wheel: same code, ±1 number with the same letter,
+// or the same number with the other letter (relative major/minor).
+// =============================================================
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const CAMELOT_RE = /^(1[0-2]|[1-9])\s*([AB])$/i;
+const KEY_RE = /^([A-G])\s*([#♯b♭])?\s*(major|maj|minor|min|m)?$/i;
+
+// "F# minor" → "11A"; returns null when the text is not a recognizable key
+export function toCamelot(keyText) {
+  if (typeof keyText !== "string") return null;
+  const text = keyText.trim();
+
+  const camelot = text.match(CAMELOT_RE);
+  if (camelot) return `${camelot[1]}${camelot[2].toUpperCase()}`;
+
+  const match = text.match(KEY_RE);
+  if (!match) return null;
+  const [, letter, accidental, mode] = match;
+  let pitch = PITCH_CLASSES[letter.toUpperCase()];
+  if (accidental === "#" || accidental === "♯") pitch += 1;
+  if (accidental === "b" || accidental === "♭") pitch -= 1;
+  // A lone capital "M" is the usual shorthand for major
+  const minor = mode === "m" || /^min(or)?$/i.test(mode || "");
+
+  // Minor keys sit on the same number as their relative major (a minor third up)
+  const majorPitch = ((minor ? pitch + 3 : pitch) % 12 + 12) % 12;
+  const number = (majorPitch * 7 + 8) % 12 || 12;
+  return `${number}${minor ? "A" : "B"}`;
+}
+
+function parseCamelot(code) {
+  const match = typeof code === "string" && code.match(CAMELOT_RE);
+  return match ? { number: Number(match[1]), letter: match[2].toUpperCase() } : null;
+}
+
+// Steps around the wheel between two codes; 0 or 1 is a smooth mix
+export function camelotDistance(a, b) {
+  const x = parseCamelot(a);
+  const y = parseCamelot(b);
+  if (!x || !y) return null;
+  const diff = Math.abs(x.number - y.number);
+  return Math.min(diff, 12 - diff) + (x.letter === y.letter ? 0 : 1);
+}
+
+export function areKeysCompatible(a, b) {
+  const distance = camelotDistance(a, b);
+  return distance !== null && distance <= 1;
+}
+
+/**
+ * Reorder tracks so each one is as close as possible on the Camelot wheel
+ * to the one before it (ties go to the closer tempo). Starts from the first
+ * track with a key; tracks without a key keep their order at the end.
+ */
+export function harmonicOrder(tracks) {
+  const keyed = tracks.filter((t) => parseCamelot(t.camelot));
+  const unkeyed = tracks.filter((t) => !parseCamelot(t.camelot));
+  if (keyed.length < 2) return [...keyed, ...unkeyed];
+
+  const ordered = [keyed[0]];
+  const remaining = keyed.slice(1);
+  while (remaining.length > 0) {
+    const last = ordered[ordered.length - 1];
+    let bestIndex = 0;
+    let best = null;
+    remaining.forEach((track, index) => {
+      const score = [camelotDistance(last.camelot, track.camelot), Math.abs((last.tempo || 0) - (track.tempo || 0))];
+      if (!best || score[0] < best[0] || (score[0] === best[0] && score[1] < best[1])) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    ordered.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return [...ordered, ...unkeyed];
+}
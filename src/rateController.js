@@ -0,0 +1,182 @@
+// =============================================================
+// Adaptive rate controller for Gemini calls
+// Shared concurrency gate that backs off on 429/RESOURCE_EXHAUSTED errors (honoring
+// the server's retry hint) and retries the same call instead of letting
+// it fall through to the next model. Concurrency halves on each rate
+// limit and creeps back up by one after a full window of successes.
+// The Spotify client runs its requests through a second instance.
+// =============================================================
+
+const MAX_BACKOFF_MS = 60000;
+
+// Out of credit or billing switched off: permanent until someone pays, so never retried.
+// OpenAI-compatible endpoints send these as a 429 with code insufficient_quota.
+const BILLING_ERROR = /insufficient_quota|billing_hard_limit_reached|billing_not_active/i;
+
+export function isBillingError(err) {
+  if (!err) return false;
+  return err.status === 402 || BILLING_ERROR.test(`${err.code || ""} ${err.message || ""}`);
+}
+
+// 429 / RESOURCE_EXHAUSTED from the Gemini SDK or an OpenAI-compatible endpoint; billing errors excluded
+export function isRateLimitError(err) {
+  if (!err || isBillingError(err)) return false;
+  if (err.status === 429) return true;
+  // Errors without a status only say it in the message ("[429 Too Many Requests]", gRPC RESOURCE_EXHAUSTED)
+  return err.status === undefined && /\b429\b|RESOURCE_EXHAUSTED/.test(err.message || "");
+}
+
+// Milliseconds the server asked us to wait, if it said
+export function retryHintMs(err) {
+  if (Number.isFinite(err?.retryAfterMs)) return err.retryAfterMs; // Retry-After header (OpenAI-compatible endpoints)
+  const retryInfo = (err?.errorDetails || []).find((d) => String(d?.["@type"] || "").endsWith("RetryInfo"));
+  const delay = retryInfo?.retryDelay || (err?.message || "").match(/retry in ([\d.]+)\s*s/i)?.[1];
+  if (!delay) return null;
+  const seconds = parseFloat(String(delay).replace(/s$/, ""));
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+function cancelledError(label) {
+  return new Error(`Request cancelled while waiting for rate limiter${label ? ` (${label})` : ""}`);
+}
+
+// Sleep that wakes early when the signal aborts
+export function abortableSleep(ms, abortSignal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      abortSignal?.removeEventListener("abort", done);
+      resolve();
+    }
+    abortSignal?.addEventListener("abort", done);
+  });
+}
+
+export function createRateController({
+  initialConcurrency = 30,
+  minConcurrency = 1,
+  maxConcurrency = 30,
+  maxRetries = 3,
+  baseBackoffMs = 2000,
+} = {}) {
+  const state = {
+    limit: initialConcurrency,
+    active: 0,
+    waiting: 0,
+    backoffUntil: 0,
+    rateLimitHits: 0,
+    consecutiveRateLimits: 0,
+    successStreak: 0,
+    lastEvent: "",
+  };
+  let waiters = [];
+  const listeners = new Set();
+
+  const snapshot = () => ({ ...state, maxConcurrency, minConcurrency });
+  const emit = () => {
+    const snap = snapshot();
+    listeners.forEach((listener) => listener(snap));
+  };
+
+  const wakeAll = () => {
+    const woken = waiters;
+    waiters = [];
+    woken.forEach((resolve) => resolve());
+  };
+
+  async function acquire(abortSignal, label) {
+    for (;;) {
+      if (abortSignal?.aborted) throw cancelledError(label);
+      const wait = state.backoffUntil - Date.now();
+      if (wait > 0) {
+        await abortableSleep(wait, abortSignal);
+        continue;
+      }
+      if (state.active < state.limit) {
+        state.active++;
+        emit();
+        return;
+      }
+      state.waiting++;
+      emit();
+      await new Promise((resolve) => {
+        // Woken by a release or the abort, whichever comes first; the other is unhooked
+        function done() {
+          abortSignal?.removeEventListener("abort", done);
+          waiters = waiters.filter((waiter) => waiter !== done);
+          resolve();
+        }
+        waiters.push(done);
+        abortSignal?.addEventListener("abort", done);
+      });
+      state.waiting--;
+    }
+  }
+
+  function release() {
+    state.active--;
+    emit();
+    wakeAll();
+  }
+
+  function recordSuccess() {
+    state.consecutiveRateLimits = 0;
+    state.successStreak++;
+    if (state.successStreak >= state.limit && state.limit < maxConcurrency) {
+      state.limit++;
+      state.successStreak = 0;
+      state.lastEvent = `Raised concurrency to ${state.limit} after a run of successes`;
+    }
+  }
+
+  function recordRateLimit(err, label) {
+    state.rateLimitHits++;
+    state.consecutiveRateLimits++;
+    state.successStreak = 0;
+    state.limit = Math.max(minConcurrency, Math.floor(state.limit / 2));
+
+    const hint = retryHintMs(err);
+    const exponential = Math.min(MAX_BACKOFF_MS, baseBackoffMs * 2 ** (state.consecutiveRateLimits - 1));
+    const delay = (hint ?? exponential) + Math.floor(Math.random() * 500);
+    state.backoffUntil = Math.max(state.backoffUntil, Date.now() + delay);
+    state.lastEvent = `${label || "Gemini"} rate limited; backing off ${Math.round(delay / 1000)}s${hint ? " (server hint)" : ""}, concurrency → ${state.limit}`;
+    console.warn(`⏱️ ${state.lastEvent}`);
+  }
+
+  /**
+   * Run fn() under the concurrency limit. Rate-limit errors are retried on the
+   * same call after backing off; other errors propagate unchanged. After
+   * maxRetries the rate-limit error is rethrown with err.rateLimited = true.
+   */
+  async function run(fn, { abortSignal = null, label = "" } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire(abortSignal, label);
+      try {
+        const result = await fn();
+        recordSuccess();
+        return result;
+      } catch (err) {
+        if (abortSignal?.aborted || !isRateLimitError(err)) throw err;
+        recordRateLimit(err, label);
+        if (attempt >= maxRetries) {
+          err.rateLimited = true;
+          throw err;
+        }
+      } finally {
+        release();
+      }
+    }
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    listener(snapshot());
+    return () => listeners.delete(listener);
+  }
+
+  return { run, subscribe, snapshot };
+}
+
+// One controller shared by every Gemini call in the app
+export const geminiRateController = createRateController();
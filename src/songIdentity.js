@@ -0,0 +1,123 @@
+// =============================================================
+// Song identity
+// The same recording shows up as several Spotify tracks (single, album,
+// compilation). Two tracks are the same song when they share an ISRC, or
+// when their normalized title and primary artist match and their lengths
+// are within a few seconds. "Remastered", "Radio Edit", "feat. ..." and
+// similar decorations never make a different song; live and remix
+// versions and re-recordings ("Taylor's Version") do unless the user
+// turns that off.
+// =============================================================
+
+// Lengths closer than this are the same recording
+const DURATION_TOLERANCE_MS = 3000;
+
+// Version words in a title's "(...)" / "[...]" / " - ..." qualifiers that mean a different recording
+const VERSION_MARKERS = [
+  ["live", /\blive\b/],
+  ["remix", /\b(re-?mix|rmx|rework|bootleg)\b|(?<!\b(?:original|radio|album|single)\s)\bmix\b/],
+  ["rerecording", /\b[a-z]+['’]s version\b|\bre-?record(ed|ing)?\b/],
+];
+
+const simplify = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Split a title into its bare name and the version markers its qualifiers carry.
+ * "Song (feat. X) - Live at Wembley" → { name: "song", versions: ["live"] }
+ */
+export function parseTitle(title) {
+  const text = String(title || "");
+  const qualifiers = [...text.matchAll(/[([]([^)\]]*)[)\]]/g)].map((m) => m[1]);
+  const dash = text.match(/\s+-\s+(.*)$/);
+  if (dash) qualifiers.push(dash[1]);
+  const name = simplify(
+    text
+      .replace(/\s*[([][^)\]]*[)\]]\s*/g, " ")
+      .replace(/\s+-\s+.*$/, "")
+      .replace(/\s+(feat\.?|ft\.?|featuring)\s.*$/i, "")
+  );
+  const lowered = qualifiers.join(" | ").toLowerCase();
+  const versions = VERSION_MARKERS.filter(([, pattern]) => pattern.test(lowered)).map(([marker]) => marker);
+  return { name: name || simplify(text), versions };
+}
+
+// Primary artist only, without a leading "The"
+const normalizeArtist = (artist) => simplify(String(artist || "").split(/\s*(?:;|\bfeat\.?\s|\bft\.?\s)/i)[0]).replace(/^the /, "");
+
+/**
+ * Text keys for a title/artist pair: songKey keeps live/remix markers,
+ * songBaseKey drops them (used when versions are not distinct songs).
+ */
+export function songKeysFor(title, artist) {
+  const { name, versions } = parseTitle(title);
+  const songBaseKey = `${name}|${normalizeArtist(artist)}`;
+  return { songKey: versions.length > 0 ? `${songBaseKey}|${versions.join("+")}` : songBaseKey, songBaseKey };
+}
+
+// { isrc, songKey, songBaseKey, durationMs } for a Spotify-shaped track
+export function songIdentity(track) {
+  const artist = track.artists?.[0]?.name || track.artists?.[0] || "";
+  return {
+    isrc: track.external_ids?.isrc || null,
+    ...songKeysFor(track.name, artist),
+    durationMs: track.duration_ms || null,
+  };
+}
+
+// The text key that decides identity under the current setting
+export const textKeyOf = (identity, distinctVersions = true) => (distinctVersions ? identity.songKey : identity.songBaseKey);
+
+// Unknown lengths don't rule a match out
+export const isSameDuration = (a, b) => !a || !b || Math.abs(a - b) <= DURATION_TOLERANCE_MS;
+
+/**
+ * Set of songs seen so far.
+ * find(track) returns the value stored for the same song (or undefined);
+ * add(track, value) records it.
+ */
+export function createSongIndex({ distinctVersions = true } = {}) {
+  const byIsrc = new Map();
+  const byText = new Map(); // text key -> [{ durationMs, value }]
+  return {
+    find(track) {
+      const identity = songIdentity(track);
+      if (identity.isrc && byIsrc.has(identity.isrc)) return byIsrc.get(identity.isrc);
+      const entry = (byText.get(textKeyOf(identity, distinctVersions)) || []).find((e) => isSameDuration(e.durationMs, identity.durationMs));
+      return entry?.value;
+    },
+    add(track, value = track) {
+      const identity = songIdentity(track);
+      if (identity.isrc && !byIsrc.has(identity.isrc)) byIsrc.set(identity.isrc, value);
+      const key = textKeyOf(identity, distinctVersions);
+      if (!byText.has(key)) byText.set(key, []);
+      byText.get(key).push({ durationMs: identity.durationMs, value });
+    },
+  };
+}
+
+/**
+ * Keep the first track of each song.
+ * Returns { unique, duplicates: [{ track, duplicateOf }] }.
+ */
+export function dedupeSongs(tracks, options = {}) {
+  const index = createSongIndex(options);
+  const unique = [];
+  const duplicates = [];
+  for (const track of tracks) {
+    const duplicateOf = index.find(track);
+    if (duplicateOf) {
+      duplicates.push({ track, duplicateOf });
+    } else {
+      index.add(track);
+      unique.push(track);
+    }
+  }
+  return { unique, duplicates };
+}
@@ -0,0 +1,123 @@
+// =============================================================
+// Trusted-source policy
+// Scores a BPM answer by the domains it cites. Each listed domain has a
+// weight from 0 (denied) to 1 (fully trusted); unlisted domains get
+// unknownWeight. An answer's score is its best-weighted source, so one
+// trusted citation is enough. Answers scoring below minScore are treated
+// as untrusted: the next tier is asked, and if nothing better turns up
+// the untrusted value is kept with low confidence.
+// =============================================================
+
+const STORAGE_KEY = "bpm_source_policy";
+
+// Confidence ceiling for a tempo only untrusted sources back
+export const UNTRUSTED_CONFIDENCE = 0.2;
+
+export const DEFAULT_SOURCE_POLICY = {
+  enabled: true,
+  minScore: 0.5,
+  unknownWeight: 0.3,
+  domains: [
+    { domain: "tunebat.com", weight: 1 },
+    { domain: "songbpm.com", weight: 1 },
+    { domain: "getsongbpm.com", weight: 0.9 },
+    { domain: "musicstax.com", weight: 0.8 },
+    { domain: "songdata.io", weight: 0.8 },
+    { domain: "bpmfinder.app", weight: 0.6 },
+  ],
+};
+
+export function loadSourcePolicy() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return stored ? { ...DEFAULT_SOURCE_POLICY, ...stored } : DEFAULT_SOURCE_POLICY;
+  } catch {
+    return DEFAULT_SOURCE_POLICY;
+  }
+}
+
+export function saveSourcePolicy(policy) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(policy));
+}
+
+// "tunebat.com = 1" per line; weight 0 (or a leading "-") denies the domain
+export function parseDomainRules(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const denied = line.startsWith("-");
+      const [domain, weight] = line.replace(/^-/, "").split("=").map((part) => part.trim());
+      const parsed = parseFloat(weight);
+      return {
+        domain: domain.toLowerCase().replace(/^www\./, ""),
+        weight: denied ? 0 : Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : 1,
+      };
+    })
+    .filter((rule) => rule.domain);
+}
+
+export const formatDomainRules = (domains) => domains.map((r) => `${r.domain} = ${r.weight}`).join("\n");
+
+// Grounding chunks carry the site's domain as their title; plain URLs give their hostname
+export function domainOf(value) {
+  if (!value) return null;
+  try {
+    return new URL(value).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    const text = String(value).trim().toLowerCase().replace(/^www\./, "");
+    return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(text) ? text : null;
+  }
+}
+
+const matches = (domain, rule) => domain === rule.domain || domain.endsWith(`.${rule.domain}`);
+
+export function domainWeight(domain, policy) {
+  const rule = policy.domains.find((r) => matches(domain, r));
+  return rule ? rule.weight : policy.unknownWeight;
+}
+
+/**
+ * Score an answer by its source domains.
+ * Returns { score, trusted, domains: [{ domain, weight }] }; an answer with no
+ * sources at all (e.g. grounding off) is not scored and counts as trusted.
+ */
+export function scoreSources(domains, policy) {
+  const unique = Array.from(new Set((domains || []).filter(Boolean)));
+  if (!policy?.enabled || unique.length === 0) {
+    return { score: null, trusted: true, domains: unique.map((domain) => ({ domain, weight: null })) };
+  }
+  const weighted = unique.map((domain) => ({ domain, weight: domainWeight(domain, policy) }));
+  const score = Math.max(...weighted.map((d) => d.weight));
+  return { score, trusted: score >= policy.minScore, domains: weighted };
+}
+
+// -------------------- Session source breakdown --------------------
+
+let breakdown = {};
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener(breakdown));
+
+// Count the domains behind one answer, and whether the answer was accepted
+export function recordSourceScore({ domains }, accepted) {
+  const next = { ...breakdown };
+  for (const { domain, weight } of domains) {
+    const entry = next[domain] || { domain, weight, answers: 0, accepted: 0 };
+    next[domain] = { ...entry, weight, answers: entry.answers + 1, accepted: entry.accepted + (accepted ? 1 : 0) };
+  }
+  breakdown = next;
+  emit();
+}
+
+export function subscribeSourceBreakdown(listener) {
+  listeners.add(listener);
+  listener(breakdown);
+  return () => listeners.delete(listener);
+}
+
+export function resetSourceBreakdown() {
+  breakdown = {};
+  emit();
+}
@@ -0,0 +1,151 @@
+// =============================================================
+// Spotify audio-features provider
+// Older Spotify apps can still read /audio-features, which gives tempo,
+// key, mode and energy per track id. Lookups from concurrent workers are
+// pooled into requests of up to 100 ids through the Spotify client.
+// Newer apps get a 403; the first one turns the provider off for the rest
+// of the session and the chain carries on with the other providers.
+// =============================================================
+
+const MAX_IDS = 100;
+// How long to wait for more ids before sending a partly filled request
+const FLUSH_DELAY_MS = 50;
+
+// Spotify encodes the key as a pitch class (-1 = unknown) and mode as 1 major / 0 minor
+const PITCHES = ["C", "C♯", "D", "D♯", "E", "F", "F♯", "G", "G♯", "A", "A♯", "B"];
+
+export function audioFeaturesKey(key, mode) {
+  if (!Number.isInteger(key) || key < 0 || key > 11) return null;
+  return `${PITCHES[key]} ${mode === 0 ? "minor" : "major"}`;
+}
+
+// ---- Session status ----
+
+let disabledReason = null;
+const listeners = new Set();
+
+export function subscribeAudioFeaturesStatus(listener) {
+  listeners.add(listener);
+  listener(disabledReason);
+  return () => listeners.delete(listener);
+}
+
+function disableForSession(reason) {
+  if (disabledReason) return;
+  disabledReason = reason;
+  console.warn(`🎚️ ${reason}`);
+  listeners.forEach((listener) => listener(disabledReason));
+}
+
+// ---- Pooled requests ----
+
+const pending = new Map(); // trackId -> [{ resolve, reject, unhook }]
+let flushTimer = null;
+let spotifyGetForFlush = null;
+
+async function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const batch = Array.from(pending.entries()).slice(0, MAX_IDS);
+  batch.forEach(([id]) => pending.delete(id));
+  if (pending.size > 0) scheduleFlush();
+  if (batch.length === 0) return;
+
+  try {
+    const data = await spotifyGetForFlush("audio-features", { ids: batch.map(([id]) => id).join(",") });
+    const byId = new Map((data?.audio_features || []).filter(Boolean).map((f) => [f.id, f]));
+    batch.forEach(([id, waiters]) => waiters.forEach((w) => {
+      w.unhook();
+      w.resolve(byId.get(id) || null);
+    }));
+  } catch (err) {
+    let failed = batch;
+    if (err.status === 403) {
+      disableForSession(`Spotify audio-features refused this app (403 ${/deprecat/i.test(err.message) ? "deprecated" : "forbidden"}) - using the other BPM providers for this session`);
+      // Nothing more goes to the refused endpoint: ids still waiting for a flush fail with this batch
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      failed = [...batch, ...pending.entries()];
+      pending.clear();
+    }
+    failed.forEach(([, waiters]) => waiters.forEach((w) => {
+      w.unhook();
+      w.reject(err);
+    }));
+  }
+}
+
+function scheduleFlush() {
+  if (pending.size >= MAX_IDS) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+}
+
+function fetchAudioFeatures(trackId, spotifyGet, abortSignal) {
+  spotifyGetForFlush = spotifyGet;
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, unhook: () => abortSignal?.removeEventListener("abort", onAbort) };
+    // A cancelled lookup leaves the pool; its id is dropped when no one else waits for it
+    function onAbort() {
+      const waiters = (pending.get(trackId) || []).filter((w) => w !== waiter);
+      if (waiters.length > 0) pending.set(trackId, waiters);
+      else pending.delete(trackId);
+      const cancelled = new Error("Request cancelled mid-flight (SPOTIFY audio-features)");
+      cancelled.midFlight = true;
+      reject(cancelled);
+    }
+    if (!pending.has(trackId)) pending.set(trackId, []);
+    pending.get(trackId).push(waiter);
+    abortSignal?.addEventListener("abort", onAbort, { once: true });
+    scheduleFlush();
+  });
+}
+
+/**
+ * Provider answering from /audio-features by Spotify track id (trackHint.spotifyId).
+ * credentials.spotifyGet is the Spotify client's get; without it, or after a 403,
+ * unavailable() reports why and the chain leaves the provider out.
+ */
+export function createSpotifyAudioFeaturesProvider(config, { spotifyGet } = {}) {
+  const tier = config.name.toUpperCase();
+
+  return {
+    id: config.id,
+    name: config.name,
+    config,
+    unavailable: () => disabledReason || (spotifyGet ? null : "not connected to Spotify"),
+    async lookup(title, artist, { abortSignal, trackHint = {} } = {}) {
+      const empty = { key: null, energy: null, sources: [], searchQueries: [], modelConfidence: null, reportedSources: [], sourceDomains: [], notes: "" };
+      if (!trackHint.spotifyId) {
+        return { ...empty, bpmText: "no Spotify track id", bpm: null, rejectReason: "no Spotify track id" };
+      }
+      if (abortSignal?.aborted) throw new Error(`Request cancelled before ${tier} lookup`);
+      // Turned off by a 403 after this chain was built
+      if (disabledReason) return { ...empty, bpmText: disabledReason, bpm: null, rejectReason: disabledReason };
+
+      const features = await fetchAudioFeatures(trackHint.spotifyId, spotifyGet, abortSignal);
+      if (!features || !(features.tempo > 0)) {
+        return { ...empty, bpmText: "no audio features for this track", bpm: null, rejectReason: "no audio features for this track" };
+      }
+
+      const bpm = Math.round(features.tempo * 10) / 10;
+      const key = audioFeaturesKey(features.key, features.mode);
+      // Spotify's energy is 0-1; the app rates 1 (calm) to 10 (intense)
+      const energy = typeof features.energy === "number" ? Math.min(10, Math.max(1, Math.round(features.energy * 10))) : null;
+      const source = `https://api.spotify.com/v1/audio-features/${trackHint.spotifyId}`;
+      return {
+        ...empty,
+        bpmText: `Spotify audio-features: ${bpm} BPM${key ? `, ${key}` : ""}`,
+        bpm,
+        key,
+        energy,
+        sources: [source],
+        reportedSources: [source],
+        // First-party data: no third-party domains to score
+        sourceDomains: [],
+      };
+    },
+  };
+}
@@ -0,0 +1,158 @@
+// =============================================================
+// Spotify authorization (PKCE)
+// Builds the authorize URL from a crypto-random verifier and state, and
+// turns every way the redirect can come back - a code, ?error=...,
+// a state that doesn't match, an expired or reused code - into either a
+// stored session or an error whose message can be shown as is. The
+// verifier and state are single-use and cleared once the return is read.
+// Scopes added in a later build are requested again through Spotify's
+// consent screen (see missingScopes).
+// =============================================================
+
+import { saveTokenResponse } from "./spotifySession";
+
+export const SCOPES = [
+  "user-read-email",
+  "playlist-read-private",
+  "playlist-modify-private",
+  "playlist-modify-public",
+  "user-library-read",
+];
+
+const AUTHORIZE_URL = "https://accounts.spotify.com/authorize";
+const TOKEN_URL = "https://accounts.spotify.com/api/token";
+const PENDING_KEYS = { verifier: "spotify_code_verifier", state: "spotify_auth_state" };
+
+// ---- PKCE helpers ----
+
+// Characters allowed in a PKCE code verifier (RFC 7636)
+const VERIFIER_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~";
+
+export function randomString(length = 64) {
+  // Bytes past the last whole multiple of the alphabet are skipped so every character is equally likely
+  const limit = 256 - (256 % VERIFIER_CHARS.length);
+  let out = "";
+  while (out.length < length) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(length))) {
+      if (byte < limit && out.length < length) out += VERIFIER_CHARS[byte % VERIFIER_CHARS.length];
+    }
+  }
+  return out;
+}
+
+function base64urlencode(bytes) {
+  let str = "";
+  for (let i = 0; i < bytes.byteLength; i++) str += String.fromCharCode(bytes[i]);
+  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return base64urlencode(new Uint8Array(digest));
+}
+
+export function clearPendingAuthorization() {
+  sessionStorage.removeItem(PENDING_KEYS.verifier);
+  sessionStorage.removeItem(PENDING_KEYS.state);
+}
+
+// ---- Authorize ----
+
+/**
+ * Authorize URL for a fresh sign-in. reconsent makes Spotify show the
+ * consent screen even when the app was approved before, so newly added
+ * scopes are granted.
+ */
+export async function buildAuthorizeUrl({ clientId, redirectUri, reconsent = false }) {
+  const verifier = randomString(64);
+  const state = randomString(32);
+  sessionStorage.setItem(PENDING_KEYS.verifier, verifier);
+  sessionStorage.setItem(PENDING_KEYS.state, state);
+
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set("client_id", clientId);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("scope", SCOPES.join(" "));
+  url.searchParams.set("state", state);
+  url.searchParams.set("code_challenge_method", "S256");
+  url.searchParams.set("code_challenge", await createCodeChallenge(verifier));
+  if (reconsent) url.searchParams.set("show_dialog", "true");
+  return url.toString();
+}
+
+// ---- Return from Spotify ----
+
+const authError = (reason, message) => {
+  const err = new Error(message);
+  err.authError = reason;
+  return err;
+};
+
+// True when the page was opened by Spotify's redirect (successful or not)
+export const isAuthorizationReturn = (params) => params.has("code") || params.has("error");
+
+function tokenError(status, body) {
+  const detail = body.error_description || body.error || `HTTP ${status}`;
+  if (body.error === "invalid_grant" && /expired/i.test(detail)) {
+    return authError("expired_code", "The Spotify sign-in took too long and expired. Please connect again.");
+  }
+  if (body.error === "invalid_grant" && /redirect/i.test(detail)) {
+    return authError("redirect_mismatch", "The redirect URI doesn't match the one Spotify sent you back to. Check it in Settings and connect again.");
+  }
+  if (body.error === "invalid_grant") {
+    return authError("invalid_code", `Spotify didn't accept the sign-in (${detail}) - it may have been used already. Please connect again.`);
+  }
+  if (body.error === "invalid_client") {
+    return authError("invalid_client", "Spotify doesn't recognize this Client ID. Check it in Settings.");
+  }
+  return authError("token_exchange", `Spotify sign-in failed (${detail}). Please connect again.`);
+}
+
+/**
+ * Finish a sign-in from the redirect's query params: checks the state,
+ * exchanges the code and stores the session. Throws an Error with a
+ * user-facing message and err.authError set to access_denied,
+ * state_mismatch, expired_code, invalid_code, redirect_mismatch,
+ * invalid_client, token_exchange or the error Spotify returned.
+ */
+export async function completeAuthorization({ clientId, redirectUri, params }) {
+  const verifier = sessionStorage.getItem(PENDING_KEYS.verifier) || "";
+  const expectedState = sessionStorage.getItem(PENDING_KEYS.state) || "";
+  clearPendingAuthorization();
+
+  const error = params.get("error");
+  if (error === "access_denied") {
+    throw authError("access_denied", "Spotify access was declined. Sporkify needs it to read your playlists and save new ones - connect again whenever you're ready.");
+  }
+  if (error) {
+    throw authError(error, `Spotify sign-in failed (${params.get("error_description") || error}). Please connect again.`);
+  }
+  if (!expectedState || !verifier || params.get("state") !== expectedState) {
+    throw authError("state_mismatch", "This Spotify sign-in couldn't be verified - it was started in another tab or has already been used. Please connect again.");
+  }
+
+  const res = await fetch(TOKEN_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: clientId,
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+    }),
+  });
+  if (!res.ok) throw tokenError(res.status, await res.json().catch(() => ({})));
+  saveTokenResponse(await res.json());
+}
+
+/**
+ * Scopes this build asks for that the session wasn't granted. Sessions from
+ * before scopes were recorded report none missing.
+ */
+export function missingScopes(grantedScope) {
+  if (!grantedScope) return [];
+  const granted = new Set(grantedScope.split(/\s+/));
+  return SCOPES.filter((scope) => !granted.has(scope));
+}
@@ -0,0 +1,129 @@
+// =============================================================
+// Spotify Web API client
+// Every Web API call goes through get/post/put/delete here. A 401
+// refreshes the token once and repeats the call; 429s, 5xx answers and
+// network failures are retried with exponential backoff plus jitter
+// (429s honor Retry-After). All requests share one throttle, so the
+// concurrent playlist loads of a scan queue behind it: a rate limit
+// pauses every caller and halves the concurrency instead of letting
+// each request hit its own 429. Failed calls throw an Error carrying
+// status, parsed body, method and path.
+// =============================================================
+
+import { createRateController, abortableSleep } from "./rateController";
+
+const API_BASE = "https://api.spotify.com/v1/";
+const MAX_BACKOFF_MS = 30000;
+
+// One throttle for every Spotify request in the app
+export const spotifyThrottle = createRateController({
+  initialConcurrency: 6,
+  maxConcurrency: 10,
+  maxRetries: 4,
+  baseBackoffMs: 1000,
+});
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Error for a non-2xx answer: "GET me failed (401): The access token expired"
+async function responseError(res, method, path) {
+  const body = parseBody(await res.text().catch(() => ""));
+  const detail = body?.error?.message || body?.error_description || (typeof body?.error === "string" ? body.error : null) || (typeof body === "string" ? body : res.statusText);
+  const err = new Error(`${method} ${path} failed (${res.status})${detail ? `: ${detail}` : ""}`);
+  err.status = res.status;
+  err.body = body;
+  err.method = method;
+  err.path = path;
+  const retryAfter = parseFloat(res.headers.get("Retry-After"));
+  if (Number.isFinite(retryAfter)) err.retryAfterMs = Math.ceil(retryAfter * 1000);
+  return err;
+}
+
+// 5xx answers and failed connections; 429s are retried by the throttle itself
+const isTransient = (err) => err.status >= 500 || (err.status === undefined && err.name === "TypeError");
+
+/**
+ * Options:
+ * - getAccessToken(): current token
+ * - refreshAccessToken(failedToken): refreshes and resolves to the new token
+ * - onLog(message): activity-log line for refreshes, retries and failures
+ * - onInsufficientScope(err): a 403 because the session lacks a scope (err.insufficientScope is set too)
+ *
+ * get(path, params, { signal }), post/put/delete(path, body, { signal }).
+ * Paths are relative to /v1/ and may carry their own query string.
+ * Resolves to the parsed JSON, or null for empty answers.
+ */
+export function createSpotifyClient({ getAccessToken, refreshAccessToken = null, onLog = () => {}, onInsufficientScope = () => {}, maxRetries = 3, baseBackoffMs = 1000 }) {
+  function send(method, path, { params, body, signal, token }) {
+    const url = new URL(path, API_BASE);
+    Object.entries(params || {}).forEach(([k, v]) => url.searchParams.set(k, String(v)));
+
+    return spotifyThrottle.run(
+      async () => {
+        const res = await fetch(url.toString(), {
+          method,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal,
+        });
+        if (!res.ok) {
+          const err = await responseError(res, method, path);
+          if (res.status === 429) {
+            onLog(`⏱️ Spotify rate limited on ${method} ${path}${err.retryAfterMs ? ` (retry after ${Math.ceil(err.retryAfterMs / 1000)}s)` : ""} - pausing all Spotify requests`);
+          }
+          throw err;
+        }
+        return parseBody(await res.text());
+      },
+      { abortSignal: signal, label: `Spotify ${method} ${path}` }
+    );
+  }
+
+  async function request(method, path, { params, body, signal } = {}) {
+    let token = getAccessToken();
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(method, path, { params, body, signal, token });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        if (err.status === 401 && !refreshed && refreshAccessToken) {
+          refreshed = true;
+          onLog("🔑 Token expired, refreshing...");
+          token = await refreshAccessToken(token);
+          attempt--;
+          continue;
+        }
+        if (!isTransient(err) || attempt >= maxRetries) {
+          onLog(`🚨 API Error on ${path}: ${err.message}`);
+          if (err.status === 403 && /scope/i.test(err.message)) {
+            err.insufficientScope = true;
+            onInsufficientScope(err);
+          }
+          throw err;
+        }
+        const exponential = Math.min(MAX_BACKOFF_MS, baseBackoffMs * 2 ** attempt);
+        const delay = Math.round(exponential / 2 + Math.random() * (exponential / 2));
+        onLog(`🔁 ${method} ${path} failed (${err.status || err.message}), retrying in ${(delay / 1000).toFixed(1)}s...`);
+        await abortableSleep(delay, signal);
+      }
+    }
+  }
+
+  return {
+    get: (path, params = {}, options = {}) => request("GET", path, { ...options, params }),
+    post: (path, body, options = {}) => request("POST", path, { ...options, body }),
+    put: (path, body, options = {}) => request("PUT", path, { ...options, body }),
+    delete: (path, body, options = {}) => request("DELETE", path, { ...options, body }),
+  };
+}
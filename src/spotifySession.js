@@ -0,0 +1,190 @@
+// =============================================================
+// Spotify session
+// The tokens live in localStorage and are shared by every open tab.
+// Refreshes are single-flight: concurrent 401s and the proactive timer
+// share one promise, and a Web Lock keeps two tabs from spending the
+// same refresh token (the tab that waited adopts the other's result).
+// Other tabs pick up new tokens and logouts through storage events.
+// A refresh Spotify rejects (revoked or already used refresh token)
+// ends the session in every tab; network and 5xx failures are retried.
+// =============================================================
+
+const TOKEN_URL = "https://accounts.spotify.com/api/token";
+const KEYS = {
+  accessToken: "spotify_access_token",
+  refreshToken: "spotify_refresh_token",
+  expiresAt: "spotify_token_expiry",
+  // Space-separated scopes Spotify granted, as reported by the token endpoint
+  scope: "spotify_granted_scopes",
+  // Why the last session ended, for the other tabs' logs
+  endedReason: "spotify_session_ended",
+};
+const LOCK_NAME = "sporkify-spotify-refresh";
+// Seconds knocked off expires_in so a token is never sent right at its end
+const EXPIRY_MARGIN_S = 30;
+// Proactive refresh this long before the (already shortened) expiry
+export const REFRESH_AHEAD_S = 60;
+const REFRESH_RETRIES = 2;
+const RETRY_DELAY_MS = 2000;
+
+const nowS = () => Math.floor(Date.now() / 1000);
+
+function readStored() {
+  return {
+    accessToken: localStorage.getItem(KEYS.accessToken) || "",
+    refreshToken: localStorage.getItem(KEYS.refreshToken) || "",
+    expiresAt: parseInt(localStorage.getItem(KEYS.expiresAt) || "0", 10),
+    scope: localStorage.getItem(KEYS.scope) || "",
+  };
+}
+
+// ---- Shared state ----
+
+let session = readStored();
+let endedReason = null;
+const listeners = new Set();
+
+const snapshot = () => ({ ...session, endedReason });
+
+function emit() {
+  const snap = snapshot();
+  listeners.forEach((listener) => listener(snap));
+}
+
+/**
+ * Listener gets { accessToken, refreshToken, expiresAt, scope, endedReason } now and
+ * on every change from this tab or another one. endedReason is set when the
+ * session just ended ("Logged out", "Spotify refused to refresh ...").
+ */
+export function subscribeSession(listener) {
+  listeners.add(listener);
+  listener(snapshot());
+  return () => listeners.delete(listener);
+}
+
+export const getSession = snapshot;
+
+/**
+ * Store a token endpoint answer ({ access_token, refresh_token?, expires_in })
+ * and hand it to every tab. Spotify may rotate the refresh token; without a
+ * new one the current one stays valid.
+ */
+export function saveTokenResponse(data) {
+  const next = {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || session.refreshToken,
+    expiresAt: nowS() + (data.expires_in || 3600) - EXPIRY_MARGIN_S,
+    scope: data.scope ?? session.scope,
+  };
+  localStorage.removeItem(KEYS.endedReason);
+  localStorage.setItem(KEYS.scope, next.scope);
+  localStorage.setItem(KEYS.refreshToken, next.refreshToken);
+  localStorage.setItem(KEYS.expiresAt, String(next.expiresAt));
+  // Written last: other tabs re-read everything when this key changes
+  localStorage.setItem(KEYS.accessToken, next.accessToken);
+  session = next;
+  endedReason = null;
+  emit();
+  return next.accessToken;
+}
+
+/** Forget the tokens here and in every other tab. */
+export function endSession(reason = "Logged out") {
+  if (!session.accessToken && !session.refreshToken) return;
+  localStorage.setItem(KEYS.endedReason, reason);
+  localStorage.removeItem(KEYS.refreshToken);
+  localStorage.removeItem(KEYS.expiresAt);
+  localStorage.removeItem(KEYS.scope);
+  localStorage.removeItem(KEYS.accessToken);
+  session = { accessToken: "", refreshToken: "", expiresAt: 0, scope: "" };
+  endedReason = reason;
+  emit();
+}
+
+// Another tab stored new tokens or ended the session
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (e) => {
+    if (e.key !== KEYS.accessToken && e.key !== null) return;
+    const stored = readStored();
+    if (stored.accessToken === session.accessToken) return;
+    session = stored;
+    endedReason = stored.accessToken ? null : `${localStorage.getItem(KEYS.endedReason) || "Logged out"} (in another tab)`;
+    emit();
+  });
+}
+
+// ---- Refresh ----
+
+let inFlight = null;
+
+// Runs fn while holding the cross-tab refresh lock, where the browser has Web Locks
+const withRefreshLock = (fn) => (typeof navigator !== "undefined" && navigator.locks ? navigator.locks.request(LOCK_NAME, fn) : fn());
+
+async function requestRefresh(clientId, refreshToken) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(TOKEN_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ client_id: clientId, grant_type: "refresh_token", refresh_token: refreshToken }),
+      });
+    } catch (err) {
+      if (attempt >= REFRESH_RETRIES) throw err;
+      await new Promise((r) => setTimeout(r, RETRY_DELAY_MS * 2 ** attempt));
+      continue;
+    }
+    if (res.ok) return res.json();
+    const body = await res.json().catch(() => ({}));
+    const detail = body.error_description || body.error || "";
+    const err = new Error(`Refresh failed (${res.status})${detail ? `: ${detail}` : ""}`);
+    err.status = res.status;
+    err.detail = detail;
+    // 4xx: Spotify will never accept this refresh token again
+    if (res.status < 500 || attempt >= REFRESH_RETRIES) throw err;
+    await new Promise((r) => setTimeout(r, RETRY_DELAY_MS * 2 ** attempt));
+  }
+}
+
+async function refreshUnderLock(clientId, staleToken) {
+  // Another tab may have refreshed while this one waited for the lock
+  const stored = readStored();
+  if (stored.accessToken && stored.accessToken !== staleToken && stored.expiresAt - nowS() > REFRESH_AHEAD_S) {
+    session = stored;
+    endedReason = null;
+    emit();
+    return stored.accessToken;
+  }
+  if (!stored.refreshToken) {
+    endSession("Spotify session expired - please log in again");
+    throw new Error("Refresh failed: no refresh token");
+  }
+  try {
+    const data = await requestRefresh(clientId, stored.refreshToken);
+    console.log("🔑 Refreshed Spotify token");
+    return saveTokenResponse(data);
+  } catch (err) {
+    if (err.status >= 400 && err.status < 500) {
+      endSession(`Spotify refused to refresh the session${err.detail ? ` (${err.detail})` : ""} - please log in again`);
+      err.sessionEnded = true;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Refresh the access token; resolves to the new one. failedToken is the
+ * token a request was rejected with: if it has already been replaced, the
+ * current one is returned without a refresh. Calls made while a refresh
+ * is running get the same promise.
+ */
+export function refreshSession(clientId, failedToken = session.accessToken) {
+  if (inFlight) return inFlight;
+  if (session.accessToken && failedToken !== session.accessToken && session.expiresAt - nowS() > REFRESH_AHEAD_S) {
+    return Promise.resolve(session.accessToken);
+  }
+  inFlight = withRefreshLock(() => refreshUnderLock(clientId, failedToken)).finally(() => {
+    inFlight = null;
+  });
+  return inFlight;
+}
@@ -0,0 +1,114 @@
+// =============================================================
+// Tempo detection from decoded audio
+// Onset strength (rise in log energy per ~5 ms frame) is autocorrelated
+// over the lags of 60-200 BPM; the strongest periodicity, nudged toward
+// typical dance tempos, is the tempo. The same analysis over overlapping
+// windows shows whether the tempo holds through the song or drifts.
+// =============================================================
+
+// Target onset envelope resolution (the exact rate depends on the sample rate)
+const FRAMES_PER_SECOND = 200;
+// Windows for the stability check
+const WINDOW_SECONDS = 30;
+const HOP_SECONDS = 15;
+// Windows may wander this far (fraction of the tempo) and still count as stable
+const STABLE_TOLERANCE = 0.03;
+
+// Mono onset-strength envelope; returns { envelope, fps }
+export function onsetEnvelope(channels, sampleRate) {
+  const hop = Math.max(1, Math.round(sampleRate / FRAMES_PER_SECOND));
+  const frames = Math.floor(channels[0].length / hop);
+  const envelope = new Float32Array(frames);
+  let prev = 0;
+  for (let f = 0; f < frames; f++) {
+    let energy = 0;
+    for (const data of channels) {
+      for (let i = f * hop, end = i + hop; i < end; i++) energy += data[i] * data[i];
+    }
+    const level = Math.log1p(1000 * energy / (hop * channels.length));
+    // Only rises in energy mark onsets
+    envelope[f] = Math.max(0, level - prev);
+    prev = level;
+  }
+  return { envelope, fps: sampleRate / hop };
+}
+
+// Mild preference for tempos around 120 BPM so half/double-time peaks don't win by a hair
+const tempoPrior = (bpm) => Math.exp(-0.5 * (Math.log2(bpm / 120) / 1.2) ** 2);
+
+/**
+ * Strongest beat period in an onset envelope slice.
+ * Returns { bpm, confidence } (confidence 0-1: peak height over the average), or null if silent.
+ */
+export function tempoFromEnvelope(envelope, fps, { minBpm = 60, maxBpm = 200 } = {}) {
+  const n = envelope.length;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += envelope[i];
+  mean /= n || 1;
+  const centered = Float32Array.from(envelope, (v) => v - mean);
+
+  const minLag = Math.floor((60 * fps) / maxBpm);
+  const maxLag = Math.ceil((60 * fps) / minBpm);
+  if (n < maxLag * 4) return null;
+
+  const acf = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += centered[i] * centered[i + lag];
+    acf[lag] = sum / (n - lag);
+  }
+
+  let bestLag = -1;
+  let bestScore = 0;
+  let total = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    total += Math.max(0, acf[lag]);
+    const score = acf[lag] * tempoPrior((60 * fps) / lag);
+    if (score > bestScore && acf[lag] >= acf[lag - 1] && acf[lag] >= acf[lag + 1]) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag < 0) return null;
+
+  // Parabolic interpolation between neighbouring lags for sub-frame precision
+  const [a, b, c] = [acf[bestLag - 1], acf[bestLag], acf[bestLag + 1]];
+  const denom = a - 2 * b + c;
+  const lag = bestLag + (denom !== 0 ? (0.5 * (a - c)) / denom : 0);
+
+  const average = total / (maxLag - minLag + 1);
+  const confidence = average > 0 ? Math.min(1, (b / average - 1) / 4) : 0;
+  return { bpm: Math.round(((60 * fps) / lag) * 10) / 10, confidence: Math.round(Math.max(0, confidence) * 100) / 100 };
+}
+
+// Move a reading by octaves (×2 / ÷2) to the one nearest the reference tempo
+const nearestOctave = (bpm, reference) => {
+  let best = bpm;
+  for (const candidate of [bpm / 2, bpm * 2]) {
+    if (Math.abs(candidate - reference) < Math.abs(best - reference)) best = candidate;
+  }
+  return best;
+};
+
+/**
+ * Estimate the tempo of decoded audio.
+ * channels: Float32Array per channel (AudioBuffer.getChannelData), sampleRate in Hz.
+ * Returns { bpm, confidence, stable, windowBpms, range: [min, max] } or null when no beat is found.
+ */
+export function detectTempo(channels, sampleRate) {
+  const { envelope, fps } = onsetEnvelope(channels, sampleRate);
+  const overall = tempoFromEnvelope(envelope, fps);
+  if (!overall) return null;
+
+  const windowFrames = Math.round(WINDOW_SECONDS * fps);
+  const hopFrames = Math.round(HOP_SECONDS * fps);
+  const windowBpms = [];
+  for (let start = 0; start + windowFrames <= envelope.length; start += hopFrames) {
+    const reading = tempoFromEnvelope(envelope.subarray(start, start + windowFrames), fps);
+    if (reading) windowBpms.push(Math.round(nearestOctave(reading.bpm, overall.bpm) * 10) / 10);
+  }
+
+  const range = windowBpms.length > 0 ? [Math.min(...windowBpms), Math.max(...windowBpms)] : [overall.bpm, overall.bpm];
+  const stable = windowBpms.every((bpm) => Math.abs(bpm - overall.bpm) / overall.bpm <= STABLE_TOLERANCE);
+  return { ...overall, stable, windowBpms, range };
+}
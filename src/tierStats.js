@@ -0,0 +1,139 @@
+// =============================================================
+// Adaptive tier ordering
+// Tracks success rate (call returned), validity rate (returned a usable
+// BPM) and latency per provider, saved across sessions. Rates and latency
+// are exponentially weighted so a model that starts failing drops quickly
+// and recovers once it works again. Providers are ranked by
+// success × validity, discounted by latency; a provider that keeps
+// erroring is skipped for a cool-down, then probed again. The
+// deterministic built-ins (BPM sites, Spotify audio-features) are never
+// ranked: they stay in front of the LLM tiers whatever their stats.
+// =============================================================
+
+const STORAGE_KEY = "bpm_tier_stats";
+
+// Weight of the newest outcome in the moving averages
+const EWMA_ALPHA = 0.2;
+// Outcomes needed before a provider's rank is trusted over the configured order
+const MIN_SAMPLES = 5;
+// Consecutive errors that bench a provider, and for how long
+const SKIP_AFTER_FAILURES = 5;
+const SKIP_COOLDOWN_MS = 10 * 60 * 1000;
+// Provider types that answer from data rather than a model; a miss there means "not listed", not a bad tier
+const PINNED_TYPES = ["site", "spotify"];
+
+function loadStats() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+let stats = loadStats();
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener(stats));
+
+function persist() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+  emit();
+}
+
+const ewma = (prev, value) => (prev == null ? value : prev + EWMA_ALPHA * (value - prev));
+
+/**
+ * Record one lookup by a provider.
+ * ok: the call completed without error; valid: it produced a usable BPM.
+ */
+export function recordTierOutcome(providerId, { ok, valid = false, latencyMs }) {
+  const prev = stats[providerId] || { samples: 0, consecutiveFailures: 0 };
+  const consecutiveFailures = ok ? 0 : prev.consecutiveFailures + 1;
+  stats = {
+    ...stats,
+    [providerId]: {
+      samples: prev.samples + 1,
+      successRate: ewma(prev.successRate, ok ? 1 : 0),
+      validRate: ewma(prev.validRate, valid ? 1 : 0),
+      latencyMs: ok && latencyMs != null ? Math.round(ewma(prev.latencyMs, latencyMs)) : prev.latencyMs ?? null,
+      consecutiveFailures,
+      skippedUntil: consecutiveFailures >= SKIP_AFTER_FAILURES ? Date.now() + SKIP_COOLDOWN_MS : prev.skippedUntil || 0,
+      lastUsedAt: Date.now(),
+    },
+  };
+  persist();
+}
+
+export function resetTierStats() {
+  stats = {};
+  persist();
+}
+
+export function subscribeTierStats(listener) {
+  listeners.add(listener);
+  listener(stats);
+  return () => listeners.delete(listener);
+}
+
+function scoreOf(entry) {
+  const latencySeconds = (entry.latencyMs || 0) / 1000;
+  return Math.round(((entry.successRate ?? 1) * (entry.validRate ?? 1) / (1 + latencySeconds / 10)) * 1000) / 1000;
+}
+
+// Works on provider instances and on their configs alike
+const isPinned = (provider) => PINNED_TYPES.includes(provider.config?.type ?? provider.type);
+
+/**
+ * Order providers for the next lookup.
+ * Returns { ordered, ranking } where ranking is
+ * [{ id, name, score, skipped, reason }] in the order shown in the debug panel.
+ * Built-in site and Spotify providers come first in their configured order;
+ * the LLM tiers follow, and those without enough samples keep their configured position.
+ */
+export function rankProviders(providers, now = Date.now()) {
+  const pinned = providers
+    .filter(isPinned)
+    .map((provider) => ({ provider, score: null, skipped: false, reason: "built-in data source, always tried first" }));
+  const rows = providers.filter((provider) => !isPinned(provider)).map((provider, index) => {
+    const entry = stats[provider.id];
+    if (!entry || entry.samples < MIN_SAMPLES) {
+      return { provider, index, score: null, skipped: false, reason: `warming up (${entry?.samples || 0}/${MIN_SAMPLES} samples), configured position` };
+    }
+    const score = scoreOf(entry);
+    if (entry.skippedUntil > now) {
+      return {
+        provider,
+        index,
+        score,
+        skipped: true,
+        reason: `${entry.consecutiveFailures} errors in a row, skipped until ${new Date(entry.skippedUntil).toLocaleTimeString()}`,
+      };
+    }
+    const reason = `${Math.round(entry.successRate * 100)}% ok, ${Math.round(entry.validRate * 100)}% valid, ~${((entry.latencyMs || 0) / 1000).toFixed(1)}s`;
+    return { provider, index, score, skipped: false, reason };
+  });
+
+  // Unscored providers hold their configured slot; scored ones are sorted among the remaining slots
+  const active = rows.filter((r) => !r.skipped);
+  const byScore = active.filter((r) => r.score != null).sort((a, b) => b.score - a.score || a.index - b.index);
+  const sorted = active.map((r) => (r.score == null ? r : byScore.shift()));
+  // Never bench everything: fall back to the least-bad skipped provider
+  const skipped = rows.filter((r) => r.skipped);
+  if (sorted.length === 0 && skipped.length > 0) {
+    const best = [...skipped].sort((a, b) => b.score - a.score)[0];
+    best.skipped = false;
+    best.reason += " (kept: every tier is benched)";
+    sorted.push(best);
+  }
+
+  return {
+    ordered: [...pinned, ...sorted].map((r) => r.provider),
+    ranking: [...pinned, ...sorted, ...rows.filter((r) => r.skipped)].map(({ provider, score, skipped: isSkipped, reason }) => ({
+      id: provider.id,
+      name: provider.name,
+      score,
+      skipped: isSkipped,
+      reason,
+    })),
+  };
+}
@@ -0,0 +1,185 @@
+// =============================================================
+// BPM lookup queries
+// Spotify names carry release decorations ("Song - 2011 Remaster",
+// "Song (feat. X) - Radio Edit") that BPM sites don't use, so search
+// grounding misses them. Before a lookup the title is cleaned of those,
+// featured artists move into the artist credits, and album, release year
+// and every credited artist are sent along to pick the right recording.
+// Titles in Cyrillic, Greek, Japanese kana or Hangul also get a
+// romanized alternative, since BPM sites often list them that way.
+// Version qualifiers that change the recording (live, remix, acoustic,
+// re-recordings such as "Taylor's Version"...) stay in the title.
+// =============================================================
+
+// Qualifiers naming a different recording: always kept
+const KEEP_QUALIFIER = /\b(live|re-?mix|rmx|rework|bootleg|acoustic|unplugged|instrumental|demo|sped up|slowed|extended|club|dub|vip|re-?record(ed|ing)?|\w+['’]s version|from the vault)\b/i;
+// Release decorations: dropped. "Version" only counts as one next to remaster/radio/album/single wording;
+// "original" and "from" are left alone ("Original Mix", "From the Vault" can be other recordings)
+const DROP_QUALIFIER = /\b(re-?master(ed)?|edit|radio version|mono|stereo|explicit|clean|bonus track|deluxe|single|album|anniversary|expanded|soundtrack|ost)\b|^\s*\d{4}\s*$/i;
+const FEATURING = /^\s*(feat\.?|ft\.?|featuring|with)\s+/i;
+
+const splitArtists = (text) => text.split(/\s*(?:,|&|\band\b)\s*/i).map((a) => a.trim()).filter(Boolean);
+
+/**
+ * Clean a track name for searching.
+ * "Song (feat. X & Y) - 2011 Remaster" → { title: "Song", featured: ["X", "Y"] }
+ * "Song - Live at Wembley / Remastered" keeps "Live at Wembley".
+ */
+export function normalizeTitle(rawTitle) {
+  const featured = [];
+  const keep = (qualifier) => {
+    const feat = qualifier.match(FEATURING);
+    if (feat) {
+      featured.push(...splitArtists(qualifier.slice(feat[0].length)));
+      return false;
+    }
+    return KEEP_QUALIFIER.test(qualifier) || !DROP_QUALIFIER.test(qualifier);
+  };
+
+  const [head, ...suffixes] = String(rawTitle || "").split(/\s+-\s+/);
+  // Bracketed qualifiers inside the head; a leading one ("(I Can't Get No) Satisfaction") is part of the name
+  let title = head.replace(/(?!^)\s*[([]([^)\]]*)[)\]]/g, (match, qualifier) => (keep(qualifier) ? match : ""));
+  // Unbracketed "Song feat. X"
+  title = title.replace(/\s+(feat\.?|ft\.?|featuring)\s+(.*)$/i, (match, _word, names) => {
+    featured.push(...splitArtists(names));
+    return "";
+  });
+  const kept = suffixes.flatMap((suffix) => suffix.split(/\s*\/\s*/)).filter(keep);
+  title = [title.trim(), ...kept].filter(Boolean).join(" - ");
+  return { title: title || String(rawTitle || "").trim(), featured };
+}
+
+// -------------------- Transliteration --------------------
+
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "yo", ж: "zh", з: "z", и: "i", й: "y", к: "k", л: "l",
+  м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ф: "f", х: "kh", ц: "ts", ч: "ch", ш: "sh",
+  щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya", і: "i", ї: "yi", є: "ye", ґ: "g", ў: "w",
+};
+
+const GREEK = {
+  α: "a", β: "v", γ: "g", δ: "d", ε: "e", ζ: "z", η: "i", θ: "th", ι: "i", κ: "k", λ: "l", μ: "m", ν: "n",
+  ξ: "x", ο: "o", π: "p", ρ: "r", σ: "s", ς: "s", τ: "t", υ: "y", φ: "f", χ: "ch", ψ: "ps", ω: "o",
+};
+
+// Hiragana in gojūon order; katakana is the same block 0x60 higher
+const KANA = {
+  あ: "a", い: "i", う: "u", え: "e", お: "o", か: "ka", き: "ki", く: "ku", け: "ke", こ: "ko",
+  が: "ga", ぎ: "gi", ぐ: "gu", げ: "ge", ご: "go", さ: "sa", し: "shi", す: "su", せ: "se", そ: "so",
+  ざ: "za", じ: "ji", ず: "zu", ぜ: "ze", ぞ: "zo", た: "ta", ち: "chi", つ: "tsu", て: "te", と: "to",
+  だ: "da", ぢ: "ji", づ: "zu", で: "de", ど: "do", な: "na", に: "ni", ぬ: "nu", ね: "ne", の: "no",
+  は: "ha", ひ: "hi", ふ: "fu", へ: "he", ほ: "ho", ば: "ba", び: "bi", ぶ: "bu", べ: "be", ぼ: "bo",
+  ぱ: "pa", ぴ: "pi", ぷ: "pu", ぺ: "pe", ぽ: "po", ま: "ma", み: "mi", む: "mu", め: "me", も: "mo",
+  や: "ya", ゆ: "yu", よ: "yo", ら: "ra", り: "ri", る: "ru", れ: "re", ろ: "ro", わ: "wa", を: "o",
+  ん: "n", ゔ: "vu",
+};
+const SMALL_Y = { ゃ: "a", ゅ: "u", ょ: "o" };
+const SMALL_VOWEL = { ぁ: "a", ぃ: "i", ぅ: "u", ぇ: "e", ぉ: "o" };
+
+const HANGUL_INITIAL = ["g", "kk", "n", "d", "tt", "r", "m", "b", "pp", "s", "ss", "", "j", "jj", "ch", "k", "t", "p", "h"];
+const HANGUL_MEDIAL = ["a", "ae", "ya", "yae", "eo", "e", "yeo", "ye", "o", "wa", "wae", "oe", "yo", "u", "wo", "we", "wi", "yu", "eu", "ui", "i"];
+const HANGUL_FINAL = ["", "k", "k", "k", "n", "n", "n", "t", "l", "k", "m", "l", "l", "l", "p", "l", "m", "p", "p", "t", "t", "ng", "t", "t", "k", "t", "p", "t"];
+
+const toHiragana = (ch) => {
+  const code = ch.codePointAt(0);
+  return code >= 0x30a1 && code <= 0x30f6 ? String.fromCodePoint(code - 0x60) : ch;
+};
+
+const capitalizeLike = (source, latin) => (latin && source !== source.toLowerCase() ? latin[0].toUpperCase() + latin.slice(1) : latin);
+
+// Letters outside the Latin script
+const NON_LATIN = /[^\P{L}\p{Script=Latin}]/u;
+
+/**
+ * Romanize Cyrillic, Greek, kana and Hangul (Revised Romanization, without
+ * sound-change rules). Returns null for Latin text, or when letters of
+ * another script (e.g. Chinese characters) would be left over.
+ */
+export function transliterate(text) {
+  if (!NON_LATIN.test(text || "")) return null;
+  let out = "";
+  let doubleNext = false; // after a small tsu
+  for (const ch of text) {
+    const lower = ch.toLowerCase();
+    const code = ch.codePointAt(0);
+    const kana = toHiragana(ch);
+    let latin;
+    if (CYRILLIC[lower] !== undefined) {
+      latin = capitalizeLike(ch, CYRILLIC[lower]);
+    } else if (GREEK[lower.normalize("NFD")[0]] !== undefined) {
+      latin = capitalizeLike(ch, GREEK[lower.normalize("NFD")[0]]);
+    } else if (code >= 0xac00 && code <= 0xd7a3) {
+      const index = code - 0xac00;
+      latin = HANGUL_INITIAL[Math.floor(index / 588)] + HANGUL_MEDIAL[Math.floor((index % 588) / 28)] + HANGUL_FINAL[index % 28];
+    } else if (kana === "っ") {
+      doubleNext = true;
+      continue;
+    } else if (SMALL_Y[kana] && /[a-z]i$/.test(out)) {
+      // きゃ → kya, しゃ → sha, ちゃ → cha, じゃ → ja
+      out = out.replace(/(sh|ch|j)i$/, "$1").replace(/([a-z])i$/, "$1y") + SMALL_Y[kana];
+      continue;
+    } else if (SMALL_VOWEL[kana] && /[a-z][aiueo]$/.test(out)) {
+      // Loanword spellings: ティ → ti, ファ → fa
+      out = out.slice(0, -1) + SMALL_VOWEL[kana];
+      continue;
+    } else if (ch === "ー") {
+      out += out.slice(-1).match(/[aiueo]/) ? out.slice(-1) : "";
+      continue;
+    } else if (KANA[kana] !== undefined) {
+      latin = KANA[kana];
+    } else if (ch === "・") {
+      latin = " ";
+    } else {
+      latin = ch;
+    }
+    if (doubleNext) {
+      latin = latin.startsWith("ch") ? `t${latin}` : latin.charAt(0) + latin;
+      doubleNext = false;
+    }
+    out += latin;
+  }
+  return NON_LATIN.test(out) ? null : out.replace(/\s+/g, " ").trim();
+}
+
+// -------------------- Query --------------------
+
+/**
+ * Everything a lookup sends about a track.
+ * Input: { title, artist, artists: [names], album, releaseDate }, as stored on trackHint.
+ * Returns { title, artist, artists, album, year, transliteration, normalized }
+ * where title/artist are what providers search for.
+ */
+export function buildTrackQuery({ title: rawTitle, artist, artists = [], album = "", releaseDate = "" }) {
+  const { title, featured } = normalizeTitle(rawTitle);
+  const credited = Array.from(new Set([artist, ...artists, ...featured].filter(Boolean)));
+  const cleanAlbum = album ? normalizeTitle(album).title : "";
+  const year = /^\d{4}/.test(releaseDate || "") ? releaseDate.slice(0, 4) : null;
+  return {
+    title,
+    artist: credited[0] || artist || "",
+    artists: credited,
+    // A single's album is just its own title again
+    album: cleanAlbum && cleanAlbum.toLowerCase() !== title.toLowerCase() ? cleanAlbum : "",
+    year,
+    transliteration: transliterate(title),
+    normalized: title !== String(rawTitle || "").trim(),
+  };
+}
+
+// Data fields for the prompt's {track} placeholder; optional ones only when known
+export const queryPromptData = (query) => ({
+  title: query.title,
+  artist: query.artist,
+  ...(query.artists.length > 1 ? { otherCreditedArtists: query.artists.slice(1) } : {}),
+  ...(query.album ? { album: query.album } : {}),
+  ...(query.year ? { releaseYear: query.year } : {}),
+  ...(query.transliteration ? { titleRomanized: query.transliteration } : {}),
+});
+
+// One-line form for logs: "Song" by A, B · Album (2011) · aka "Romanized"
+export const describeQuery = (query) =>
+  [
+    `"${query.title}" by ${query.artists.join(", ") || query.artist}`,
+    query.album ? `${query.album}${query.year ? ` (${query.year})` : ""}` : query.year,
+    query.transliteration ? `aka "${query.transliteration}"` : null,
+  ].filter(Boolean).join(" · ");
@@ -0,0 +1,66 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { compareTempos, reconcileReadings, SINGLE_READING_CONFIDENCE } from "../src/bpmConsensus";
+
+const readings = (...bpms) => bpms.map((bpm, i) => ({ bpm, providerId: `p${i}`, tier: `P${i}`, model: "m", sources: [] }));
+
+// reconcileReadings logs every consensus it reaches
+beforeEach(() => vi.spyOn(console, "log").mockImplementation(() => {}));
+
+describe("compareTempos", () => {
+  it("treats readings within 4% as the same tempo", () => {
+    expect(compareTempos(120, 124)).toBe("same");
+    expect(compareTempos(120, 126)).toBeNull();
+  });
+
+  it("recognizes half- and double-time readings", () => {
+    expect(compareTempos(85, 170)).toBe("octave");
+    expect(compareTempos(172, 86)).toBe("octave");
+    expect(compareTempos(120, 180)).toBeNull();
+  });
+});
+
+describe("reconcileReadings", () => {
+  it("gives one unconfirmed reading the single-reading confidence", () => {
+    const result = reconcileReadings(readings(128));
+    expect(result.bpm).toBe(128);
+    expect(result.confidence).toBe(SINGLE_READING_CONFIDENCE);
+  });
+
+  it("averages agreeing readings and is confident about them", () => {
+    const result = reconcileReadings(readings(120, 121));
+    expect(result.bpm).toBe(120.5);
+    expect(result.confidence).toBe(0.8);
+    expect(result.octaveCorrected).toBe(false);
+  });
+
+  it("settles a half/double-time split on the faster octave, whichever reading comes first", () => {
+    for (const result of [reconcileReadings(readings(170, 85)), reconcileReadings(readings(85, 170))]) {
+      expect(result.bpm).toBe(170);
+      expect(result.octaveCorrected).toBe(true);
+      expect(result.agreeing).toHaveLength(2);
+      // An octave match counts for less than an exact one
+      expect(result.confidence).toBe(0.7);
+    }
+  });
+
+  it("reports the octave most readings used", () => {
+    const result = reconcileReadings(readings(85, 86, 170));
+    expect(result.bpm).toBe(85.5);
+    expect(result.octaveCorrected).toBe(true);
+  });
+
+  it("goes with the faster octave when more readings are there", () => {
+    expect(reconcileReadings(readings(85, 170, 171)).bpm).toBe(170.5);
+  });
+
+  it("has low confidence when nothing agrees", () => {
+    const result = reconcileReadings(readings(120, 150));
+    expect(result.agreeing).toHaveLength(1);
+    expect(result.confidence).toBe(0.25);
+  });
+
+  it("ignores missing and non-positive readings", () => {
+    expect(reconcileReadings([null, { bpm: 0 }, { bpm: -5 }])).toBeNull();
+    expect(reconcileReadings([null, ...readings(0, 140)]).bpm).toBe(140);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_PROVIDER_CONFIGS, buildProviderChain, providerSetupProblem } from "../src/bpmProviders";
+
+const OPENAI = { id: "local", name: "Local", type: "openai", model: "llama3", baseUrl: "http://localhost:11434/v1", enabled: true };
+
+describe("providerSetupProblem", () => {
+  it("asks for a Gemini key when the Gemini tiers are the only LLM providers", () => {
+    expect(providerSetupProblem(DEFAULT_PROVIDER_CONFIGS, { geminiApiKey: "" })).toMatch(/Gemini API key is required/);
+  });
+
+  it("lets the chain run without a Gemini key when another LLM provider is enabled", () => {
+    expect(providerSetupProblem([...DEFAULT_PROVIDER_CONFIGS, OPENAI], { geminiApiKey: "" })).toBeNull();
+  });
+
+  it("still asks for a key when the other LLM provider is disabled", () => {
+    expect(providerSetupProblem([...DEFAULT_PROVIDER_CONFIGS, { ...OPENAI, enabled: false }], { geminiApiKey: "" })).toMatch(/Gemini API key/);
+  });
+});
+
+describe("buildProviderChain", () => {
+  it("skips the Gemini tiers when there is no key", () => {
+    const chain = buildProviderChain([...DEFAULT_PROVIDER_CONFIGS, OPENAI], { geminiApiKey: "", spotifyGet: null, providerApiKeys: {} });
+    expect(chain.map((p) => p.id)).toEqual(["local"]);
+  });
+});
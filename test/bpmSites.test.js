@@ -0,0 +1,126 @@
+import { readFileSync } from "node:fs";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parseSongBPMPage, parseTunebatPage, createBPMSiteProvider } from "../src/bpmSites";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), "utf8");
+
+const BLINDING_LIGHTS = { title: "Blinding Lights", artist: "The Weeknd", spotifyId: "0VjIjW4GlUZAMYd2vXMi3b", durationMs: 200040 };
+
+describe("parseSongBPMPage", () => {
+  it("reads tempo, key and duration from the song's page", () => {
+    const page = parseSongBPMPage(fixture("songbpm-match"));
+    expect(page.bpm).toBe(171);
+    expect(page.key).toBe("F♯ minor");
+    expect(page.durationMs).toBe(200000);
+  });
+
+  it("ignores numbers in scripts, styles and the related-songs list", () => {
+    const page = parseSongBPMPage(fixture("songbpm-match"));
+    expect(page.text).not.toMatch(/__NEXT_DATA__|content:/);
+    expect(page.bpm).not.toBe(85);
+    expect(page.bpm).not.toBe(120);
+  });
+
+  it("returns null for a page without a tempo", () => {
+    const page = parseSongBPMPage(fixture("songbpm-no-bpm"));
+    expect(page.bpm).toBeNull();
+    expect(page.key).toBeNull();
+    expect(page.durationMs).toBe(200000);
+  });
+
+  it("parses another song's page as that song", () => {
+    const page = parseSongBPMPage(fixture("songbpm-different-song"));
+    expect(page.bpm).toBe(118);
+    expect(page.key).toBe("C major");
+  });
+});
+
+describe("parseTunebatPage", () => {
+  it("takes the main tempo, not the half- or double-time figures", () => {
+    const page = parseTunebatPage(fixture("tunebat-match"));
+    expect(page.bpm).toBe(171);
+    expect(page.key).toBe("F♯ minor");
+    expect(page.durationMs).toBe(200000);
+  });
+
+  it("returns null for a page without a tempo", () => {
+    const page = parseTunebatPage(fixture("tunebat-no-bpm"));
+    expect(page.bpm).toBeNull();
+    expect(page.key).toBeNull();
+    expect(page.durationMs).toBe(200000);
+  });
+
+  it("parses another song's page as that song", () => {
+    const page = parseTunebatPage(fixture("tunebat-different-song"));
+    expect(page.bpm).toBe(118);
+    expect(page.key).toBe("C major");
+  });
+});
+
+describe("createBPMSiteProvider", () => {
+  // The provider logs every page it parses
+  beforeEach(() => vi.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  // Serves one fixture per site, keyed by the page URL's host
+  const serve = (pages) =>
+    vi.stubGlobal("fetch", vi.fn(async (url) => {
+      const name = pages[new URL(url).hostname];
+      return name ? new Response(fixture(name), { status: 200 }) : new Response("", { status: 404 });
+    }));
+
+  const lookup = (sites, trackHint = BLINDING_LIGHTS) =>
+    createBPMSiteProvider({ id: "sites", name: "Sites", sites, timeoutMs: 0 }).lookup(BLINDING_LIGHTS.title, BLINDING_LIGHTS.artist, { trackHint });
+
+  it("answers from a matching SongBPM page", async () => {
+    serve({ "songbpm.com": "songbpm-match" });
+    const result = await lookup(["songbpm"]);
+    expect(result.bpm).toBe(171);
+    expect(result.key).toBe("F♯ minor");
+    expect(result.sourceDomains).toEqual(["songbpm.com"]);
+  });
+
+  it("answers from a matching Tunebat page", async () => {
+    serve({ "tunebat.com": "tunebat-match" });
+    const result = await lookup(["tunebat"]);
+    expect(result.bpm).toBe(171);
+    expect(result.sources[0]).toContain(BLINDING_LIGHTS.spotifyId);
+  });
+
+  it("rejects pages for a different song", async () => {
+    serve({ "songbpm.com": "songbpm-different-song", "tunebat.com": "tunebat-different-song" });
+    const result = await lookup(["songbpm", "tunebat"]);
+    expect(result.bpm).toBeNull();
+    expect(result.rejectReason).toBe("SongBPM: page is for a different song; Tunebat: page is for a different song");
+  });
+
+  it("rejects pages without a tempo", async () => {
+    serve({ "songbpm.com": "songbpm-no-bpm", "tunebat.com": "tunebat-no-bpm" });
+    const result = await lookup(["songbpm", "tunebat"]);
+    expect(result.bpm).toBeNull();
+    expect(result.rejectReason).toBe("SongBPM: no tempo on page; Tunebat: no tempo on page");
+  });
+
+  it("falls through to the next site when the first has no tempo", async () => {
+    serve({ "songbpm.com": "songbpm-no-bpm", "tunebat.com": "tunebat-match" });
+    const result = await lookup(["songbpm", "tunebat"]);
+    expect(result.bpm).toBe(171);
+    expect(result.sourceDomains).toEqual(["tunebat.com"]);
+  });
+
+  it("rejects a page whose length differs from the track by more than 10 seconds", async () => {
+    serve({ "songbpm.com": "songbpm-match" });
+    const result = await lookup(["songbpm"], { ...BLINDING_LIGHTS, durationMs: 260000 });
+    expect(result.bpm).toBeNull();
+    expect(result.rejectReason).toBe("SongBPM: page is 200s long, track is 260s");
+  });
+
+  it("accepts a page within 10 seconds of the track's length", async () => {
+    serve({ "songbpm.com": "songbpm-match" });
+    const result = await lookup(["songbpm"], { ...BLINDING_LIGHTS, durationMs: 209000 });
+    expect(result.bpm).toBe(171);
+  });
+});
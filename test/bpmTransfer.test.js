@@ -0,0 +1,77 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// The import reads and writes through bpmCache; an in-memory copy of its two stores stands in for IndexedDB
+const db = vi.hoisted(() => ({ cache: [], overrides: [], writes: [] }));
+vi.mock("../src/bpmCache", () => ({
+  listCachedBPM: vi.fn(async () => db.cache),
+  listBPMOverrides: vi.fn(async () => db.overrides),
+  writeImportedRecords: vi.fn(async (records) => {
+    db.writes.push(records);
+  }),
+}));
+
+import { importRows, parseImport, rowsToCSV } from "../src/bpmTransfer";
+import { listCachedBPM, listBPMOverrides } from "../src/bpmCache";
+
+const row = (trackId, bpm, extra = {}) => ({ trackId, isrc: null, title: "", artist: "", bpm, tier: "IMPORTED", confidence: 0.8, manual: false, key: null, energy: null, updatedAt: 100, ...extra });
+
+beforeEach(() => {
+  db.cache = [];
+  db.overrides = [];
+  db.writes = [];
+  vi.clearAllMocks();
+});
+
+describe("parseImport", () => {
+  it("reads back its own CSV export, quoted cells included", () => {
+    const rows = [row("a", 120, { title: 'Say "Hi", Bye', artist: "X" }), row("b", 98, { manual: true })];
+    const parsed = parseImport(rowsToCSV(rows));
+    expect(parsed.map((r) => [r.trackId, r.bpm, r.title, r.manual])).toEqual([["a", 120, 'Say "Hi", Bye', false], ["b", 98, "", true]]);
+  });
+
+  it("drops rows without an id or a plausible tempo", () => {
+    expect(parseImport(JSON.stringify([{ trackId: "a", bpm: 0 }, { bpm: 120 }, { trackId: "b", bpm: 400 }, { trackId: "c", bpm: "128" }])).map((r) => r.trackId)).toEqual(["c"]);
+  });
+});
+
+describe("importRows", () => {
+  it("reads the stored cache and overrides once, however many rows there are", async () => {
+    await importRows(Array.from({ length: 50 }, (_, i) => row(`t${i}`, 120)));
+    expect(listCachedBPM).toHaveBeenCalledTimes(1);
+    expect(listBPMOverrides).toHaveBeenCalledTimes(1);
+    expect(db.writes).toHaveLength(1);
+  });
+
+  it("prefer manual: a manual override is never replaced by a provider value, even a newer one", async () => {
+    db.overrides = [{ trackId: "a", bpm: 90, updatedAt: 1 }];
+    expect(await importRows([row("a", 180, { updatedAt: 999 })], "manual")).toEqual({ imported: 0, skipped: 1 });
+  });
+
+  it("prefer manual: an imported manual value replaces a cached provider value", async () => {
+    db.cache = [{ trackId: "a", bpm: 180, confidence: 0.9, updatedAt: 999 }];
+    await importRows([row("a", 90, { manual: true, updatedAt: 1 })], "manual");
+    expect(db.writes[0].overrides.map((r) => [r.trackId, r.bpm])).toEqual([["a", 90]]);
+  });
+
+  it("prefer newer: a newer provider value replaces an override and removes it", async () => {
+    db.overrides = [{ trackId: "a", bpm: 90, updatedAt: 1 }];
+    await importRows([row("a", 92, { updatedAt: 5 })], "newer");
+    expect(db.writes[0].cache.map((r) => [r.trackId, r.bpm, r.imported])).toEqual([["a", 92, true]]);
+    expect(db.writes[0].removeOverrides).toEqual(["a"]);
+  });
+
+  it("prefer higher confidence: keeps the more confident value and falls back to newer on a tie", async () => {
+    db.cache = [
+      { trackId: "a", bpm: 120, confidence: 0.9, updatedAt: 1 },
+      { trackId: "b", bpm: 120, confidence: 0.8, updatedAt: 1 },
+    ];
+    const result = await importRows([row("a", 121, { confidence: 0.7, updatedAt: 9 }), row("b", 122, { confidence: 0.8, updatedAt: 9 })], "confidence");
+    expect(result).toEqual({ imported: 1, skipped: 1 });
+    expect(db.writes[0].cache.map((r) => r.trackId)).toEqual(["b"]);
+  });
+
+  it("merges a track listed twice in the file by the same policy", async () => {
+    await importRows([row("a", 120, { updatedAt: 5 }), row("a", 124, { updatedAt: 3 })], "newer");
+    expect(db.writes[0].cache.map((r) => [r.trackId, r.bpm])).toEqual([["a", 120]]);
+  });
+});
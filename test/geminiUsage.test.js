@@ -0,0 +1,44 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+// The module reads the budget and today's usage from localStorage when it loads
+const store = new Map();
+vi.stubGlobal("localStorage", {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+});
+
+let usage;
+beforeAll(async () => {
+  usage = await import("../src/geminiUsage");
+});
+
+describe("assertWithinBudget", () => {
+  it("counts calls in flight, so concurrent calls can't pass the call limit", () => {
+    usage.saveBudget({ scanCalls: 3 });
+    usage.startScanUsage();
+    const admitted = Array.from({ length: 30 }, () => {
+      try {
+        usage.assertWithinBudget();
+        return true;
+      } catch (err) {
+        expect(err.budgetExceeded).toBe(true);
+        return false;
+      }
+    }).filter(Boolean);
+    expect(admitted).toHaveLength(3);
+    expect(usage.budgetExceededReason()).toBe("3/3 calls this scan");
+  });
+
+  it("settles reservations when calls are recorded, failed or not", () => {
+    usage.recordUsage({ model: "m", tier: "PRIMARY", usage: { totalTokenCount: 10 } });
+    usage.recordUsage({ model: "m", tier: "PRIMARY", failed: true });
+    usage.recordUsage({ model: "m", tier: "PRIMARY", failed: true });
+    expect(usage.getUsageSnapshot().scan.calls).toBe(3);
+    expect(usage.budgetExceededReason()).toBe("3/3 calls this scan");
+
+    usage.saveBudget({ scanCalls: 4 });
+    expect(() => usage.assertWithinBudget()).not.toThrow();
+    expect(() => usage.assertWithinBudget()).toThrow(/budget exhausted/);
+  });
+});
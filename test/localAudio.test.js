@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { matchTrack, localAnalysisRecord } from "../src/localAudio";
+
+const track = (id, name, artist, durationMs, isrc) => ({
+  id,
+  name,
+  artists: [{ name: artist }],
+  duration_ms: durationMs,
+  external_ids: isrc ? { isrc } : {},
+});
+
+const TRACKS = [
+  track("a", "Blinding Lights", "The Weeknd", 200040, "USUG11904206"),
+  track("b", "Save Your Tears", "The Weeknd", 215627, "USUG12000658"),
+  track("c", "Blinding Lights", "Cover Band", 201000, null),
+];
+
+describe("matchTrack", () => {
+  it("takes the track with the file's ISRC over any name reading", () => {
+    const meta = { isrc: "usug12000658", tags: { title: "Blinding Lights", artist: "The Weeknd" }, title: "Blinding Lights", artist: "", durationMs: 200000 };
+    expect(matchTrack(meta, TRACKS).id).toBe("b");
+  });
+
+  it("prefers the title and artist tags to the file name", () => {
+    const meta = { isrc: "", tags: { title: "Blinding Lights", artist: "Cover Band" }, title: "track01", artist: "", durationMs: 201000 };
+    expect(matchTrack(meta, TRACKS).id).toBe("c");
+  });
+
+  it("falls back to the file name when the tags match nothing", () => {
+    const meta = { isrc: "", tags: { title: "Unknown", artist: "" }, title: "Save Your Tears", artist: "The Weeknd", durationMs: 215000 };
+    expect(matchTrack(meta, TRACKS).id).toBe("b");
+  });
+
+  it("reads a \"Title - Artist\" file name the other way round", () => {
+    const meta = { title: "The Weeknd", artist: "Save Your Tears", durationMs: 215000 };
+    expect(matchTrack(meta, TRACKS).id).toBe("b");
+  });
+
+  it("rules out tracks more than 5 seconds off the file's length", () => {
+    const meta = { tags: { title: "Save Your Tears", artist: "The Weeknd" }, title: "", artist: "", durationMs: 240000 };
+    expect(matchTrack(meta, TRACKS)).toBeNull();
+  });
+});
+
+describe("localAnalysisRecord", () => {
+  const analysis = (confidence, stable = true) => ({
+    fileName: "song.mp3",
+    durationMs: 200000,
+    tempo: { bpm: 171, confidence, stable, windowBpms: [171, 171], range: [170, 172] },
+  });
+
+  it("keeps high confidence for a clear, stable beat", () => {
+    expect(localAnalysisRecord(analysis(1)).confidence).toBe(0.95);
+  });
+
+  it("scales confidence down with the detector's", () => {
+    expect(localAnalysisRecord(analysis(0.2)).confidence).toBe(0.57);
+    expect(localAnalysisRecord(analysis(0)).confidence).toBeLessThan(localAnalysisRecord(analysis(0.5)).confidence);
+  });
+
+  it("trusts a drifting tempo less than a stable one at the same detector confidence", () => {
+    expect(localAnalysisRecord(analysis(0.6, false)).confidence).toBeLessThan(localAnalysisRecord(analysis(0.6)).confidence);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { toCamelot, camelotDistance, areKeysCompatible, harmonicOrder } from "../src/musicalKey";
+
+describe("toCamelot", () => {
+  it("maps key names in the usual spellings", () => {
+    expect(toCamelot("C major")).toBe("8B");
+    expect(toCamelot("A minor")).toBe("8A");
+    expect(toCamelot("F# minor")).toBe("11A");
+    expect(toCamelot("F♯ minor")).toBe("11A");
+    expect(toCamelot("Bbm")).toBe("3A");
+    expect(toCamelot("Db maj")).toBe("3B");
+    expect(toCamelot("G")).toBe("9B");
+  });
+
+  it("passes Camelot codes through", () => {
+    expect(toCamelot("8a")).toBe("8A");
+    expect(toCamelot(" 12B ")).toBe("12B");
+  });
+
+  it("returns null for anything else", () => {
+    expect(toCamelot("H minor")).toBeNull();
+    expect(toCamelot("13A")).toBeNull();
+    expect(toCamelot(null)).toBeNull();
+  });
+});
+
+describe("camelotDistance", () => {
+  it("counts steps around the wheel plus a letter change", () => {
+    expect(camelotDistance("8A", "8A")).toBe(0);
+    expect(camelotDistance("8A", "9A")).toBe(1);
+    expect(camelotDistance("12A", "1A")).toBe(1);
+    expect(camelotDistance("8A", "8B")).toBe(1);
+    expect(camelotDistance("8A", "10B")).toBe(3);
+    expect(camelotDistance("8A", "nope")).toBeNull();
+  });
+
+  it("calls neighbours and relative keys compatible", () => {
+    expect(areKeysCompatible("8A", "7A")).toBe(true);
+    expect(areKeysCompatible("8A", "8B")).toBe(true);
+    expect(areKeysCompatible("8A", "9B")).toBe(false);
+  });
+});
+
+describe("harmonicOrder", () => {
+  it("walks the wheel from the first keyed track and leaves unkeyed tracks at the end", () => {
+    const tracks = [
+      { id: "a", camelot: "8A", tempo: 120 },
+      { id: "x", camelot: null, tempo: 120 },
+      { id: "b", camelot: "10A", tempo: 120 },
+      { id: "c", camelot: "9A", tempo: 120 },
+    ];
+    expect(harmonicOrder(tracks).map((t) => t.id)).toEqual(["a", "c", "b", "x"]);
+  });
+
+  it("breaks key ties by the closer tempo", () => {
+    const tracks = [
+      { id: "a", camelot: "8A", tempo: 120 },
+      { id: "far", camelot: "9A", tempo: 140 },
+      { id: "near", camelot: "7A", tempo: 122 },
+    ];
+    expect(harmonicOrder(tracks).map((t) => t.id)).toEqual(["a", "near", "far"]);
+  });
+});
@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createRateController, isBillingError, isRateLimitError, retryHintMs } from "../src/rateController";
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+describe("isRateLimitError", () => {
+  it("retries 429s and RESOURCE_EXHAUSTED", () => {
+    expect(isRateLimitError(httpError(429, "Too Many Requests"))).toBe(true);
+    expect(isRateLimitError(new Error("[429 Too Many Requests] RESOURCE_EXHAUSTED"))).toBe(true);
+  });
+
+  it("fails fast on billing errors, 429 or not", () => {
+    const insufficient = httpError(429, 'HTTP 429 - {"error":{"code":"insufficient_quota","message":"You exceeded your current quota"}}');
+    expect(isBillingError(insufficient)).toBe(true);
+    expect(isRateLimitError(insufficient)).toBe(false);
+    expect(isRateLimitError(httpError(402, "Payment Required"))).toBe(false);
+  });
+
+  it("ignores other errors that merely mention a quota", () => {
+    expect(isRateLimitError(httpError(400, "quota project not set"))).toBe(false);
+    expect(isRateLimitError(new Error("network down"))).toBe(false);
+  });
+});
+
+describe("retryHintMs", () => {
+  it("reads Retry-After and Gemini's RetryInfo", () => {
+    expect(retryHintMs({ retryAfterMs: 1500 })).toBe(1500);
+    expect(retryHintMs({ errorDetails: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "7s" }] })).toBe(7000);
+    expect(retryHintMs(new Error("nothing here"))).toBeNull();
+  });
+});
+
+describe("createRateController", () => {
+  beforeEach(() => vi.spyOn(console, "warn").mockImplementation(() => {}));
+  afterEach(() => vi.restoreAllMocks());
+
+  it("never runs more calls at once than the limit", async () => {
+    const controller = createRateController({ initialConcurrency: 2, maxConcurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = () => controller.run(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((r) => setTimeout(r, 5));
+      active--;
+    });
+    await Promise.all(Array.from({ length: 6 }, task));
+    expect(peak).toBe(2);
+  });
+
+  it("retries a rate-limited call on the same function and halves the concurrency", async () => {
+    const controller = createRateController({ initialConcurrency: 4, maxConcurrency: 4, baseBackoffMs: 1 });
+    const fn = vi.fn()
+      .mockRejectedValueOnce(Object.assign(httpError(429, "slow down"), { retryAfterMs: 1 }))
+      .mockResolvedValueOnce("ok");
+    await expect(controller.run(fn)).resolves.toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(controller.snapshot().limit).toBe(2);
+  });
+
+  it("does not retry billing errors or touch the concurrency", async () => {
+    const controller = createRateController({ initialConcurrency: 4, maxConcurrency: 4, baseBackoffMs: 1 });
+    const fn = vi.fn().mockRejectedValue(httpError(429, "insufficient_quota"));
+    await expect(controller.run(fn)).rejects.toThrow("insufficient_quota");
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(controller.snapshot().limit).toBe(4);
+  });
+
+  it("stops waiting for a slot once the signal aborts", async () => {
+    const controller = createRateController({ initialConcurrency: 1, maxConcurrency: 1 });
+    let release;
+    const blocker = controller.run(() => new Promise((r) => (release = r)));
+    const abort = new AbortController();
+    const waiting = controller.run(async () => "never", { abortSignal: abort.signal });
+    abort.abort();
+    await expect(waiting).rejects.toThrow(/cancelled/);
+    release();
+    await blocker;
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { dedupeSongs, parseTitle, songKeysFor } from "../src/songIdentity";
+
+const track = (id, name, artist, durationMs, isrc = null) => ({ id, name, artists: [{ name: artist }], duration_ms: durationMs, external_ids: isrc ? { isrc } : {} });
+const ids = (tracks) => tracks.map((t) => t.id);
+
+describe("parseTitle", () => {
+  it("strips decorations and keeps version markers", () => {
+    expect(parseTitle("Song (feat. X) - Live at Wembley")).toEqual({ name: "song", versions: ["live"] });
+    expect(parseTitle("Song - 2011 Remaster")).toEqual({ name: "song", versions: [] });
+    expect(parseTitle("Song [Radio Edit]")).toEqual({ name: "song", versions: [] });
+    expect(parseTitle("Song (Original Mix)").versions).toEqual([]);
+    expect(parseTitle("Song (Club Mix)").versions).toEqual(["remix"]);
+    expect(parseTitle("Love Story (Taylor's Version)").versions).toEqual(["rerecording"]);
+  });
+
+  it("matches artists on the primary one, ignoring a leading The", () => {
+    expect(songKeysFor("Song", "The Band feat. Guest").songKey).toBe(songKeysFor("Song", "Band").songKey);
+    expect(songKeysFor("Café", "Beyoncé & Jay").songKey).toBe("cafe|beyonce and jay");
+  });
+});
+
+describe("dedupeSongs", () => {
+  it("treats a shared ISRC as the same song, whatever the title", () => {
+    const { unique, duplicates } = dedupeSongs([track("a", "Song", "Band", 200000, "US1"), track("b", "Different", "Other", 100000, "US1")]);
+    expect(ids(unique)).toEqual(["a"]);
+    expect(duplicates.map((d) => [d.track.id, d.duplicateOf.id])).toEqual([["b", "a"]]);
+  });
+
+  it("matches title and artist only when the lengths are within 3 seconds", () => {
+    const tracks = [
+      track("single", "Song", "Band", 200000),
+      track("album", "Song - Remastered 2011", "Band", 202500),
+      track("extended", "Song", "Band", 260000),
+      track("unknown", "Song", "Band", null),
+    ];
+    expect(ids(dedupeSongs(tracks).unique)).toEqual(["single", "extended"]);
+  });
+
+  it("keeps live and remix versions apart unless versions are not distinct", () => {
+    const tracks = [track("a", "Song", "Band", 200000), track("b", "Song (Live)", "Band", 200000), track("c", "Song - Remix", "Band", 200000)];
+    expect(ids(dedupeSongs(tracks).unique)).toEqual(["a", "b", "c"]);
+    expect(ids(dedupeSongs(tracks, { distinctVersions: false }).unique)).toEqual(["a"]);
+  });
+});
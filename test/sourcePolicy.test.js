@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_SOURCE_POLICY, domainOf, formatDomainRules, parseDomainRules, scoreSources } from "../src/sourcePolicy";
+
+const policy = { enabled: true, minScore: 0.5, unknownWeight: 0.3, domains: parseDomainRules("tunebat.com = 1\n-lyricsfarm.net\nbpmfinder.app = 0.6") };
+
+describe("parseDomainRules", () => {
+  it("reads weights, denials and comments", () => {
+    const rules = parseDomainRules("# trusted\nwww.TuneBat.com = 1\n-spam.io\nsongdata.io = 3\nbpmfinder.app = 0.6\nsongbpm.com\n");
+    expect(rules).toEqual([
+      { domain: "tunebat.com", weight: 1 },
+      { domain: "spam.io", weight: 0 },
+      { domain: "songdata.io", weight: 1 },
+      { domain: "bpmfinder.app", weight: 0.6 },
+      { domain: "songbpm.com", weight: 1 },
+    ]);
+  });
+
+  it("round-trips the default list", () => {
+    expect(parseDomainRules(formatDomainRules(DEFAULT_SOURCE_POLICY.domains))).toEqual(DEFAULT_SOURCE_POLICY.domains);
+  });
+});
+
+describe("domainOf", () => {
+  it("takes the hostname of a URL or a bare domain title", () => {
+    expect(domainOf("https://www.tunebat.com/Info/x")).toBe("tunebat.com");
+    expect(domainOf("SongBPM.com")).toBe("songbpm.com");
+    expect(domainOf("Some Page Title")).toBeNull();
+    expect(domainOf(null)).toBeNull();
+  });
+});
+
+describe("scoreSources", () => {
+  it("trusts an answer on its best source, subdomains included", () => {
+    const result = scoreSources(["lyricsfarm.net", "m.tunebat.com"], policy);
+    expect(result.score).toBe(1);
+    expect(result.trusted).toBe(true);
+  });
+
+  it("distrusts answers backed only by denied or unknown sites", () => {
+    expect(scoreSources(["lyricsfarm.net"], policy)).toMatchObject({ score: 0, trusted: false });
+    expect(scoreSources(["someblog.org", "someblog.org"], policy)).toEqual({ score: 0.3, trusted: false, domains: [{ domain: "someblog.org", weight: 0.3 }] });
+  });
+
+  it("does not score answers without sources, or with the policy off", () => {
+    expect(scoreSources([], policy)).toMatchObject({ score: null, trusted: true });
+    expect(scoreSources(["lyricsfarm.net"], { ...policy, enabled: false })).toMatchObject({ score: null, trusted: true });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it, vi } from "vitest";
+import { createSpotifyAudioFeaturesProvider } from "../src/spotifyAudioFeatures";
+
+const CONFIG = { id: "spotify", name: "Spotify", type: "spotify", model: "audio-features" };
+
+describe("createSpotifyAudioFeaturesProvider", () => {
+  it("stops calling audio-features after the first 403", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const refused = Object.assign(new Error("GET audio-features failed (403)"), { status: 403 });
+    const spotifyGet = vi.fn(async () => {
+      throw refused;
+    });
+    const provider = createSpotifyAudioFeaturesProvider(CONFIG, { spotifyGet });
+
+    // 150 ids: the first 100 go out at once, the other 50 wait for the next flush
+    const lookups = Array.from({ length: 150 }, (_, i) => provider.lookup(`Song ${i}`, "Artist", { trackHint: { spotifyId: `id${i}` } }));
+    const settled = await Promise.allSettled(lookups);
+    expect(settled.every((s) => s.status === "rejected" && s.reason === refused)).toBe(true);
+
+    await new Promise((r) => setTimeout(r, 100));
+    expect(spotifyGet).toHaveBeenCalledTimes(1);
+
+    const later = await provider.lookup("Song", "Artist", { trackHint: { spotifyId: "id-later" } });
+    expect(later.bpm).toBeNull();
+    expect(later.rejectReason).toMatch(/refused this app/);
+    expect(provider.unavailable()).toMatch(/refused this app/);
+    expect(spotifyGet).toHaveBeenCalledTimes(1);
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,84 @@
+import { createHash } from "node:crypto";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../src/spotifySession", () => ({ saveTokenResponse: vi.fn() }));
+
+import { buildAuthorizeUrl, completeAuthorization, missingScopes, SCOPES } from "../src/spotifyAuth";
+import { saveTokenResponse } from "../src/spotifySession";
+
+const store = new Map();
+vi.stubGlobal("sessionStorage", {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+});
+
+const options = { clientId: "client", redirectUri: "https://example.test/callback" };
+
+// Starts a sign-in and returns the state Spotify would send back
+async function startSignIn() {
+  const url = new URL(await buildAuthorizeUrl(options));
+  return url.searchParams.get("state");
+}
+
+let fetchMock;
+beforeEach(() => {
+  store.clear();
+  vi.clearAllMocks();
+  fetchMock = vi.fn(async () => ({ ok: true, status: 200, json: async () => ({ access_token: "token", expires_in: 3600 }) }));
+  vi.stubGlobal("fetch", fetchMock);
+});
+
+describe("buildAuthorizeUrl", () => {
+  it("asks for the S256 challenge of a stored verifier", async () => {
+    const url = new URL(await buildAuthorizeUrl({ ...options, reconsent: true }));
+    const verifier = store.get("spotify_code_verifier");
+    expect(verifier).toMatch(/^[A-Za-z0-9\-._~]{64}$/);
+    expect(url.searchParams.get("code_challenge")).toBe(createHash("sha256").update(verifier).digest("base64url"));
+    expect(url.searchParams.get("state")).toBe(store.get("spotify_auth_state"));
+    expect(url.searchParams.get("scope")).toBe(SCOPES.join(" "));
+    expect(url.searchParams.get("show_dialog")).toBe("true");
+  });
+});
+
+describe("completeAuthorization", () => {
+  it("exchanges the code with the verifier and stores the session", async () => {
+    const state = await startSignIn();
+    const verifier = store.get("spotify_code_verifier");
+    await completeAuthorization({ ...options, params: new URLSearchParams({ code: "abc", state }) });
+    const body = fetchMock.mock.calls[0][1].body;
+    expect(body.get("code")).toBe("abc");
+    expect(body.get("code_verifier")).toBe(verifier);
+    expect(saveTokenResponse).toHaveBeenCalledWith({ access_token: "token", expires_in: 3600 });
+    expect(store.size).toBe(0);
+  });
+
+  it("rejects a state that doesn't match, and a second use of the same return", async () => {
+    await startSignIn();
+    await expect(completeAuthorization({ ...options, params: new URLSearchParams({ code: "abc", state: "forged" }) })).rejects.toMatchObject({ authError: "state_mismatch" });
+
+    const state = await startSignIn();
+    const params = new URLSearchParams({ code: "abc", state });
+    await completeAuthorization({ ...options, params });
+    await expect(completeAuthorization({ ...options, params })).rejects.toMatchObject({ authError: "state_mismatch" });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("explains a declined consent and an expired code", async () => {
+    await startSignIn();
+    await expect(completeAuthorization({ ...options, params: new URLSearchParams({ error: "access_denied" }) })).rejects.toMatchObject({ authError: "access_denied" });
+
+    const state = await startSignIn();
+    fetchMock.mockResolvedValue({ ok: false, status: 400, json: async () => ({ error: "invalid_grant", error_description: "Authorization code expired" }) });
+    await expect(completeAuthorization({ ...options, params: new URLSearchParams({ code: "abc", state }) })).rejects.toMatchObject({ authError: "expired_code" });
+    expect(saveTokenResponse).not.toHaveBeenCalled();
+  });
+});
+
+describe("missingScopes", () => {
+  it("lists the scopes the session wasn't granted", () => {
+    expect(missingScopes(SCOPES.slice(0, 3).join(" "))).toEqual(SCOPES.slice(3));
+    expect(missingScopes(SCOPES.join(" "))).toEqual([]);
+    expect(missingScopes("")).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { createSpotifyClient } from "../src/spotifyClient";
+
+const respond = (status, body = {}) => ({
+  ok: status < 400,
+  status,
+  statusText: "",
+  headers: new Headers(),
+  text: async () => JSON.stringify(body),
+});
+
+let fetchMock;
+beforeEach(() => {
+  fetchMock = vi.fn();
+  vi.stubGlobal("fetch", fetchMock);
+});
+
+const authHeaders = () => fetchMock.mock.calls.map(([, init]) => init.headers.Authorization);
+
+describe("createSpotifyClient", () => {
+  it("refreshes once on a 401 and repeats the call with the new token", async () => {
+    fetchMock.mockResolvedValueOnce(respond(401, { error: { message: "The access token expired" } })).mockResolvedValueOnce(respond(200, { id: "me" }));
+    const refreshAccessToken = vi.fn(async () => "new");
+    const client = createSpotifyClient({ getAccessToken: () => "old", refreshAccessToken });
+    await expect(client.get("me")).resolves.toEqual({ id: "me" });
+    expect(refreshAccessToken).toHaveBeenCalledWith("old");
+    expect(authHeaders()).toEqual(["Bearer old", "Bearer new"]);
+  });
+
+  it("gives up when the refreshed token is rejected too", async () => {
+    fetchMock.mockResolvedValue(respond(401, { error: { message: "Invalid access token" } }));
+    const refreshAccessToken = vi.fn(async () => "new");
+    const client = createSpotifyClient({ getAccessToken: () => "old", refreshAccessToken });
+    await expect(client.get("me")).rejects.toMatchObject({ status: 401, method: "GET", path: "me" });
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("retries 5xx answers and not other failures", async () => {
+    fetchMock.mockResolvedValueOnce(respond(502)).mockResolvedValueOnce(respond(503)).mockResolvedValueOnce(respond(200, { items: [] }));
+    const client = createSpotifyClient({ getAccessToken: () => "t", baseBackoffMs: 1 });
+    await expect(client.get("me/playlists", { limit: 50 })).resolves.toEqual({ items: [] });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(fetchMock.mock.calls[0][0]).toBe("https://api.spotify.com/v1/me/playlists?limit=50");
+
+    fetchMock.mockReset().mockResolvedValue(respond(404, { error: { message: "Not found" } }));
+    await expect(client.get("playlists/x")).rejects.toThrow("GET playlists/x failed (404): Not found");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a 403 for a missing scope", async () => {
+    fetchMock.mockResolvedValue(respond(403, { error: { message: "Insufficient client scope" } }));
+    const onInsufficientScope = vi.fn();
+    const client = createSpotifyClient({ getAccessToken: () => "t", onInsufficientScope });
+    const err = await client.post("playlists/x/tracks", { uris: [] }).catch((e) => e);
+    expect(err.insufficientScope).toBe(true);
+    expect(onInsufficientScope).toHaveBeenCalledWith(err);
+  });
+});
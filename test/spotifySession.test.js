@@ -0,0 +1,74 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// The module reads the tokens from localStorage when it loads
+const store = new Map();
+vi.stubGlobal("localStorage", {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+});
+const locks = { current: null };
+vi.stubGlobal("navigator", { get locks() { return locks.current; } });
+
+const tokenResponse = (accessToken, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => (status < 400 ? { access_token: accessToken, expires_in: 3600 } : { error: "invalid_grant", error_description: "Refresh token revoked" }),
+});
+
+let spotifySession;
+let fetchMock;
+beforeAll(async () => {
+  spotifySession = await import("../src/spotifySession");
+});
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  fetchMock = vi.fn(async () => tokenResponse("fresh"));
+  vi.stubGlobal("fetch", fetchMock);
+  spotifySession.saveTokenResponse({ access_token: "stale", refresh_token: "refresh-1", expires_in: 3600 });
+});
+
+afterEach(() => {
+  locks.current = null;
+  vi.restoreAllMocks();
+});
+
+describe("refreshSession", () => {
+  it("shares one refresh between concurrent callers", async () => {
+    const results = await Promise.all([1, 2, 3].map(() => spotifySession.refreshSession("client", "stale")));
+    expect(results).toEqual(["fresh", "fresh", "fresh"]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][1].body.get("refresh_token")).toBe("refresh-1");
+    expect(store.get("spotify_access_token")).toBe("fresh");
+  });
+
+  it("hands back the current token when the failed one was already replaced", async () => {
+    await expect(spotifySession.refreshSession("client", "older")).resolves.toBe("stale");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("adopts the token another tab stored while this one waited for the lock", async () => {
+    locks.current = {
+      request: async (_name, fn) => {
+        spotifySession.saveTokenResponse({ access_token: "from-other-tab", expires_in: 3600 });
+        return fn();
+      },
+    };
+    await expect(spotifySession.refreshSession("client", "stale")).resolves.toBe("from-other-tab");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("ends the session when Spotify rejects the refresh token", async () => {
+    fetchMock.mockResolvedValue(tokenResponse(null, 400));
+    const listener = vi.fn();
+    const unsubscribe = spotifySession.subscribeSession(listener);
+    const err = await spotifySession.refreshSession("client", "stale").catch((e) => e);
+    unsubscribe();
+    expect(err.sessionEnded).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(spotifySession.getSession().accessToken).toBe("");
+    expect(listener.mock.lastCall[0].endedReason).toMatch(/refused to refresh.*Refresh token revoked/);
+    expect(store.has("spotify_refresh_token")).toBe(false);
+  });
+});
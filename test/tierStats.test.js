@@ -0,0 +1,43 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+const store = new Map();
+vi.stubGlobal("localStorage", {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+});
+
+let tiers;
+beforeAll(async () => {
+  tiers = await import("../src/tierStats");
+});
+beforeEach(() => tiers.resetTierStats());
+
+const provider = (id, type) => ({ id, name: id, config: { id, name: id, type } });
+const CHAIN = [provider("spotify", "spotify"), provider("sites", "site"), provider("primary", "gemini"), provider("secondary", "gemini")];
+
+const record = (id, outcome, times) => {
+  for (let i = 0; i < times; i++) tiers.recordTierOutcome(id, { latencyMs: 1000, ...outcome });
+};
+
+describe("rankProviders", () => {
+  it("keeps the site and Spotify providers in front however often they miss", () => {
+    record("sites", { ok: true, valid: false }, 10);
+    record("spotify", { ok: false }, 10);
+    record("primary", { ok: true, valid: true }, 10);
+    const { ordered, ranking } = tiers.rankProviders(CHAIN);
+    expect(ordered.map((p) => p.id)).toEqual(["spotify", "sites", "primary", "secondary"]);
+    expect(ranking.slice(0, 2).every((r) => !r.skipped && r.score === null)).toBe(true);
+  });
+
+  it("ranks the LLM tiers by their measured score", () => {
+    record("primary", { ok: true, valid: false }, 10);
+    record("secondary", { ok: true, valid: true }, 10);
+    expect(tiers.rankProviders(CHAIN).ordered.map((p) => p.id)).toEqual(["spotify", "sites", "secondary", "primary"]);
+  });
+
+  it("pins built-ins given as configs too, as the settings table passes them", () => {
+    const configs = CHAIN.map((p) => p.config).reverse();
+    expect(tiers.rankProviders(configs).ranking.map((r) => r.id)).toEqual(["sites", "spotify", "secondary", "primary"]);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { normalizeTitle } from "../src/trackQuery";
+import { songKeysFor } from "../src/songIdentity";
+
+describe("normalizeTitle", () => {
+  it("drops release decorations", () => {
+    expect(normalizeTitle("Song (feat. X & Y) - 2011 Remaster").title).toBe("Song");
+    expect(normalizeTitle("Song - Radio Edit").title).toBe("Song");
+    expect(normalizeTitle("Song - Radio Version").title).toBe("Song");
+    expect(normalizeTitle("Song - Album Version").title).toBe("Song");
+    expect(normalizeTitle("Song - Remastered Version").title).toBe("Song");
+  });
+
+  it("keeps re-recordings", () => {
+    expect(normalizeTitle("Love Story (Taylor's Version)").title).toBe("Love Story (Taylor's Version)");
+    expect(normalizeTitle("Love Story (Taylor’s Version)").title).toBe("Love Story (Taylor’s Version)");
+    expect(normalizeTitle("Song - Re-Recorded").title).toBe("Song - Re-Recorded");
+  });
+
+  it("keeps qualifiers starting with original or from", () => {
+    expect(normalizeTitle("Song - Original Mix").title).toBe("Song - Original Mix");
+    expect(normalizeTitle("Mr. Perfectly Fine (Taylor's Version) (From The Vault)").title).toBe("Mr. Perfectly Fine (Taylor's Version) (From The Vault)");
+  });
+});
+
+describe("songKeysFor", () => {
+  it("tells a re-recording from the original", () => {
+    const original = songKeysFor("Love Story", "Taylor Swift");
+    const rerecorded = songKeysFor("Love Story (Taylor's Version)", "Taylor Swift");
+    expect(rerecorded.songKey).not.toBe(original.songKey);
+    expect(rerecorded.songBaseKey).toBe(original.songBaseKey);
+  });
+});